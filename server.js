@@ -3,682 +3,7153 @@ const path = require('path');
 const { Pool } = require('pg');
 const multer = require('multer');
 const XLSX = require('xlsx');
+const csvParser = require('csv-parser');
+const { Transform, pipeline } = require('stream');
 const bcrypt = require('bcryptjs');
 const fs = require('fs');
+const crypto = require('crypto');
+const { isDeepStrictEqual, promisify } = require('util');
+const zlib = require('zlib');
+const nodemailer = require('nodemailer');
+const cronParser = require('cron-parser');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// In production the app runs behind the host's proxy; take client IPs (for
+// the audit log) from the X-Forwarded-For header it sets
+if (process.env.NODE_ENV === 'production') {
+    app.set('trust proxy', 1);
+}
+
 // Database connection
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
+// An idle connection dropped by the database (restart, failover) is discarded by
+// the pool; without a listener the error would end the process
+pool.on('error', error => console.error('Idle database connection lost:', error.message));
 
 // Middleware
 app.use(express.json());
 app.use(express.static('public'));
 
+// Session configuration
+const SESSION_COOKIE = 'antenne_session';
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const SESSION_TTL_REMEMBER = 30 * 24 * 60 * 60 * 1000; // 30 days ("remember me")
+
+// Roles in ascending order of privilege
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// Accounts lock for LOCKOUT_MINUTES after MAX_FAILED_LOGINS wrong passwords in a row
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Password of the seeded admin account; logging in with it forces a change
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+const PASSWORD_MIN_LENGTH = 10;
+
 // Multer configuration for file uploads
 const upload = multer({ 
     dest: 'uploads/',
     limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
+// `node server.js migrate [status|up|down [--to N]]` manages the schema
+// without starting the server (see runMigrateCommand)
+const migrateCommand = process.argv[2] === 'migrate';
+
 // Test database connection
-pool.query('SELECT NOW()', (err, res) => {
-    if (err) {
-        console.error('Database connection error:', err);
-    } else {
-        console.log('Database connected successfully at:', res.rows[0].now);
+if (!migrateCommand) {
+    pool.query('SELECT NOW()', (err, res) => {
+        if (err) {
+            console.error('Database connection error:', err);
+        } else {
+            console.log('Database connected successfully at:', res.rows[0].now);
+        }
+    });
+}
+
+// Schema migrations, applied in version order by runMigrations and recorded in
+// schema_migrations. Never edit a migration that has shipped; add a new one.
+// down undoes up and may be left out for migrations that can't be reversed.
+// Version 1 is the schema as it was before migrations existed, written so it
+// also brings older databases up to date.
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'baseline schema',
+        up: async db => {
+            // Users table
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id SERIAL PRIMARY KEY,
+                    username VARCHAR(255) UNIQUE NOT NULL,
+                    password VARCHAR(255) NOT NULL,
+                    email VARCHAR(255),
+                    role VARCHAR(50) DEFAULT 'viewer',
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Gazelle sales table
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS gazelle_sales (
+                    id SERIAL PRIMARY KEY,
+                    order_ref VARCHAR(255),
+                    order_date DATE,
+                    customer VARCHAR(100),
+                    customer_number VARCHAR(100),
+                    customer_name VARCHAR(255),
+                    invoice VARCHAR(100),
+                    title TEXT,
+                    publisher VARCHAR(255),
+                    book_ean VARCHAR(20),
+                    quantity INTEGER DEFAULT 0,
+                    unit_price DECIMAL(10,2),
+                    total_amount DECIMAL(10,2),
+                    carrier VARCHAR(100),
+                    tracking VARCHAR(255),
+                    city VARCHAR(255),
+                    country VARCHAR(100),
+                    format VARCHAR(100),
+                    discount DECIMAL(5,2),
+                    upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    file_name VARCHAR(255),
+                    UNIQUE(order_ref, invoice, book_ean)
+                )
+            `);
+
+            // Customer master - one row per Gazelle customer code / customer number,
+            // rebuilt from gazelle_sales after every upload (see refreshCustomers)
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS customers (
+                    id SERIAL PRIMARY KEY,
+                    customer_code VARCHAR(100) NOT NULL,
+                    customer_number VARCHAR(100) NOT NULL DEFAULT '',
+                    customer_name VARCHAR(255),
+                    city VARCHAR(255),
+                    country VARCHAR(100),
+                    first_order DATE,
+                    last_order DATE,
+                    total_orders INTEGER DEFAULT 0,
+                    total_quantity INTEGER DEFAULT 0,
+                    total_revenue DECIMAL(12,2) DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(customer_code, customer_number)
+                )
+            `);
+
+            // Booksonix table
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS booksonix (
+                    id SERIAL PRIMARY KEY,
+                    sku VARCHAR(100) UNIQUE,
+                    isbn VARCHAR(20),
+                    title VARCHAR(500),
+                    publisher VARCHAR(255),
+                    price DECIMAL(10,2),
+                    upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Import batches - one row per uploaded file
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS import_batches (
+                    id SERIAL PRIMARY KEY,
+                    source VARCHAR(50) NOT NULL,
+                    file_name VARCHAR(255),
+                    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                    uploaded_by VARCHAR(255),
+                    status VARCHAR(20) DEFAULT 'processing',
+                    total_rows INTEGER DEFAULT 0,
+                    inserted_rows INTEGER DEFAULT 0,
+                    updated_rows INTEGER DEFAULT 0,
+                    skipped_rows INTEGER DEFAULT 0,
+                    error_rows INTEGER DEFAULT 0,
+                    error_message TEXT,
+                    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    completed_at TIMESTAMP,
+                    rolled_back_at TIMESTAMP,
+                    rolled_back_by VARCHAR(255)
+                )
+            `);
+
+            // Previous values of rows an import overwrote, so the import can be rolled back
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS import_batch_changes (
+                    id SERIAL PRIMARY KEY,
+                    batch_id INTEGER NOT NULL REFERENCES import_batches(id) ON DELETE CASCADE,
+                    table_name VARCHAR(50) NOT NULL,
+                    row_id INTEGER NOT NULL,
+                    previous JSONB NOT NULL
+                )
+            `);
+
+            await db.query("ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS error_report JSONB DEFAULT '[]'");
+            await db.query('ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS progress_done INTEGER DEFAULT 0');
+            await db.query('ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS progress_total INTEGER DEFAULT 0');
+            await db.query('ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS withdrawn_rows INTEGER DEFAULT 0');
+
+            // Parsed and validated uploads waiting to be confirmed
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS import_previews (
+                    id SERIAL PRIMARY KEY,
+                    token VARCHAR(64) UNIQUE NOT NULL,
+                    source VARCHAR(50) NOT NULL,
+                    file_name VARCHAR(255),
+                    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                    rows JSONB NOT NULL,
+                    summary JSONB NOT NULL,
+                    batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    expires_at TIMESTAMP NOT NULL
+                )
+            `);
+            await db.query("ALTER TABLE import_previews ADD COLUMN IF NOT EXISTS options JSONB DEFAULT '{}'");
+
+            // Products dropped from a full Booksonix export
+            await db.query('ALTER TABLE booksonix ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMP');
+
+            // Every change an import makes to a Booksonix product, newest last
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS booksonix_history (
+                    id SERIAL PRIMARY KEY,
+                    sku VARCHAR(100) NOT NULL,
+                    change_type VARCHAR(20) NOT NULL,
+                    field VARCHAR(50),
+                    old_value TEXT,
+                    new_value TEXT,
+                    batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL,
+                    changed_by VARCHAR(255),
+                    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_booksonix_history_sku ON booksonix_history (sku, changed_at)');
+
+            await db.query('ALTER TABLE gazelle_sales ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL');
+            await db.query('ALTER TABLE booksonix ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL');
+
+            // Saved import profiles - header names for each field, for export layouts
+            // the built-in synonyms don't cover
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS import_profiles (
+                    id SERIAL PRIMARY KEY,
+                    name VARCHAR(255) UNIQUE NOT NULL,
+                    source VARCHAR(50) NOT NULL DEFAULT 'gazelle',
+                    header_row INTEGER,
+                    column_map JSONB NOT NULL DEFAULT '{}',
+                    created_by VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Customer name mappings
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS customer_name_mappings (
+                    id SERIAL PRIMARY KEY,
+                    original_name VARCHAR(255) UNIQUE NOT NULL,
+                    display_name VARCHAR(255) NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Customer exclusions - customers left out of stockist reports and the directory.
+            // match_type 'code' matches the Gazelle customer code exactly; 'pattern' matches
+            // the customer name case-insensitively, with * as a wildcard
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS customer_exclusions (
+                    id SERIAL PRIMARY KEY,
+                    match_type VARCHAR(20) NOT NULL,
+                    value VARCHAR(255) NOT NULL,
+                    reason VARCHAR(500),
+                    expires_at TIMESTAMP,
+                    created_by VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(match_type, value)
+                )
+            `);
+
+            // Login sessions - only a SHA-256 hash of the token is stored
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    id SERIAL PRIMARY KEY,
+                    token_hash VARCHAR(64) UNIQUE NOT NULL,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    expires_at TIMESTAMP NOT NULL
+                )
+            `);
+
+            // Application settings, one row per key (see SETTINGS)
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS app_settings (
+                    key VARCHAR(100) PRIMARY KEY,
+                    value JSONB NOT NULL,
+                    updated_by VARCHAR(255),
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Backup archives kept in the database: manual backups and the automatic
+            // snapshots taken before data is cleared (see createSnapshot)
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS data_snapshots (
+                    id SERIAL PRIMARY KEY,
+                    reason VARCHAR(255) NOT NULL,
+                    mode VARCHAR(10) NOT NULL,
+                    row_counts JSONB NOT NULL DEFAULT '{}',
+                    size_bytes INTEGER NOT NULL,
+                    archive BYTEA NOT NULL,
+                    created_by VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Normalised ISBN-13 keys linking sales lines to catalogue products
+            // ('' when the code isn't a valid ISBN/EAN)
+            await db.query('ALTER TABLE gazelle_sales ADD COLUMN IF NOT EXISTS ean13 VARCHAR(13)');
+            await db.query('ALTER TABLE booksonix ADD COLUMN IF NOT EXISTS ean13 VARCHAR(13)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_gazelle_sales_ean13 ON gazelle_sales (ean13)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_booksonix_ean13 ON booksonix (ean13)');
+
+            // Customer name as it appeared in the Gazelle file. customer_name holds the
+            // display name after customer_name_mappings, so mappings can be re-applied.
+            // Rows stored before this column existed start from their current name.
+            await db.query('ALTER TABLE gazelle_sales ADD COLUMN IF NOT EXISTS raw_customer_name VARCHAR(255)');
+            await db.query('UPDATE gazelle_sales SET raw_customer_name = customer_name WHERE raw_customer_name IS NULL');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_gazelle_sales_raw_customer_name ON gazelle_sales (raw_customer_name)');
+        }
+    },
+    {
+        version: 2,
+        name: 'indexes on sales order_date, book_ean and customer_name',
+        up: async db => {
+            await db.query('CREATE INDEX IF NOT EXISTS idx_gazelle_sales_order_date ON gazelle_sales (order_date)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_gazelle_sales_book_ean ON gazelle_sales (book_ean)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_gazelle_sales_customer_name ON gazelle_sales (customer_name)');
+        },
+        down: async db => {
+            await db.query('DROP INDEX IF EXISTS idx_gazelle_sales_order_date');
+            await db.query('DROP INDEX IF EXISTS idx_gazelle_sales_book_ean');
+            await db.query('DROP INDEX IF EXISTS idx_gazelle_sales_customer_name');
+        }
+    },
+    {
+        version: 3,
+        name: 'full-text search indexes for sales and product records',
+        // The expressions must match GAZELLE_SEARCH_VECTOR and BOOKSONIX_SEARCH_VECTOR
+        up: async db => {
+            await db.query(`CREATE INDEX IF NOT EXISTS idx_gazelle_sales_search ON gazelle_sales USING GIN (
+                to_tsvector('simple', COALESCE(title, '') || ' ' || COALESCE(customer_name, '') || ' ' || COALESCE(publisher, ''))
+            )`);
+            await db.query(`CREATE INDEX IF NOT EXISTS idx_booksonix_search ON booksonix USING GIN (
+                to_tsvector('simple', COALESCE(title, '') || ' ' || COALESCE(publisher, '') || ' ' || COALESCE(isbn, '') || ' ' || COALESCE(sku, ''))
+            )`);
+        },
+        down: async db => {
+            await db.query('DROP INDEX IF EXISTS idx_gazelle_sales_search');
+            await db.query('DROP INDEX IF EXISTS idx_booksonix_search');
+        }
+    },
+    {
+        version: 4,
+        name: 'audit log',
+        up: async db => {
+            // No foreign keys: entries outlive the users and batches they mention
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id BIGSERIAL PRIMARY KEY,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    user_id INTEGER,
+                    username VARCHAR(255),
+                    ip_address VARCHAR(100),
+                    action VARCHAR(100) NOT NULL,
+                    target_type VARCHAR(50),
+                    target_id VARCHAR(255),
+                    before_value JSONB,
+                    after_value JSONB,
+                    details JSONB
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (target_type, target_id)');
+
+            // Append-only: entries can't be changed or removed through the app
+            await db.query(`
+                CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+                BEGIN
+                    RAISE EXCEPTION 'audit_log is append-only';
+                END;
+                $$ LANGUAGE plpgsql
+            `);
+            await db.query(`
+                CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+                FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+            `);
+            await db.query(`
+                CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+                FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+            `);
+        },
+        down: async db => {
+            await db.query('DROP TABLE IF EXISTS audit_log');
+            await db.query('DROP FUNCTION IF EXISTS audit_log_append_only()');
+        }
+    },
+    {
+        version: 5,
+        name: 'user status, forced password change and lockout',
+        up: async db => {
+            await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS active BOOLEAN DEFAULT true');
+            await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false');
+            await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0');
+            await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP');
+            await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP');
+            await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP');
+        },
+        down: async db => {
+            for (const column of ['active', 'must_change_password', 'failed_login_attempts', 'locked_until', 'password_changed_at', 'last_login_at']) {
+                await db.query(`ALTER TABLE users DROP COLUMN IF EXISTS ${column}`);
+            }
+        }
+    },
+    {
+        version: 6,
+        name: 'watched inbox files',
+        up: async db => {
+            // One row per file the inbox worker picked up (see processInboxFile)
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS inbox_files (
+                    id SERIAL PRIMARY KEY,
+                    directory TEXT NOT NULL,
+                    file_name VARCHAR(255) NOT NULL,
+                    content_hash VARCHAR(64) NOT NULL,
+                    source VARCHAR(50),
+                    status VARCHAR(20) NOT NULL,
+                    batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL,
+                    message TEXT,
+                    moved_to TEXT,
+                    processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_inbox_files_hash ON inbox_files (content_hash)');
+        },
+        down: async db => {
+            await db.query('DROP TABLE IF EXISTS inbox_files');
+        }
+    },
+    {
+        version: 7,
+        name: 'gazelle return lines',
+        up: async db => {
+            // line_type is 'sale' or 'return'; returns hold negative quantities and
+            // values, and original_invoice is the invoice they credit when known
+            await db.query(`
+                ALTER TABLE gazelle_sales
+                ADD COLUMN IF NOT EXISTS line_type VARCHAR(10) NOT NULL DEFAULT 'sale',
+                ADD COLUMN IF NOT EXISTS original_invoice VARCHAR(100)
+            `);
+            // Lines imported before returns were recognised: anything negative is a return
+            await db.query(`
+                UPDATE gazelle_sales SET
+                    line_type = 'return',
+                    quantity = -ABS(quantity),
+                    total_amount = -ABS(total_amount),
+                    unit_price = CASE WHEN quantity <> 0 AND total_amount <> 0 THEN ABS(total_amount / quantity) ELSE unit_price END
+                WHERE quantity < 0 OR total_amount < 0
+            `);
+        },
+        down: async db => {
+            // The view selects g.* and is recreated on the next start
+            await db.query('DROP VIEW IF EXISTS sales_catalogue');
+            await db.query('ALTER TABLE gazelle_sales DROP COLUMN IF EXISTS line_type, DROP COLUMN IF EXISTS original_invoice');
+        }
+    },
+    {
+        version: 8,
+        name: 'gazelle sale line keys',
+        // No down: once two lines for the same EAN share an invoice the old
+        // (order_ref, invoice, book_ean) key can't be put back
+        up: async db => {
+            await db.query('ALTER TABLE gazelle_sales ADD COLUMN IF NOT EXISTS line_key VARCHAR(32)');
+            await db.query('ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS conflict_rows INTEGER DEFAULT 0');
+
+            await fillGazelleLineKeys(db);
+            await db.query('ALTER TABLE gazelle_sales DROP CONSTRAINT IF EXISTS gazelle_sales_order_ref_invoice_book_ean_key');
+            await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_gazelle_sales_line_key ON gazelle_sales(line_key)');
+        }
+    },
+    {
+        version: 9,
+        name: 'saved reports',
+        up: async db => {
+            // Stockist report definitions, run on a cron schedule (server time)
+            // or by hand. date_window is a REPORT_WINDOWS key; start_date and
+            // end_date are only used by 'fixed'.
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS report_definitions (
+                    id SERIAL PRIMARY KEY,
+                    name VARCHAR(255) UNIQUE NOT NULL,
+                    publisher VARCHAR(255),
+                    all_publishers BOOLEAN NOT NULL DEFAULT false,
+                    titles JSONB NOT NULL DEFAULT '[]',
+                    date_window VARCHAR(20) NOT NULL DEFAULT 'last_12_months',
+                    start_date DATE,
+                    end_date DATE,
+                    include_excluded BOOLEAN NOT NULL DEFAULT false,
+                    exclude_customers JSONB NOT NULL DEFAULT '[]',
+                    format VARCHAR(10) NOT NULL DEFAULT 'xlsx',
+                    schedule VARCHAR(100),
+                    email_to VARCHAR(1000),
+                    enabled BOOLEAN NOT NULL DEFAULT true,
+                    next_run_at TIMESTAMP,
+                    created_by VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            // One row per run with the generated file; runs outlive their definition
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS report_runs (
+                    id SERIAL PRIMARY KEY,
+                    definition_id INTEGER REFERENCES report_definitions(id) ON DELETE SET NULL,
+                    definition_name VARCHAR(255) NOT NULL,
+                    trigger VARCHAR(20) NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'running',
+                    start_date DATE,
+                    end_date DATE,
+                    format VARCHAR(10),
+                    file_name VARCHAR(255),
+                    size_bytes INTEGER,
+                    output BYTEA,
+                    customers INTEGER,
+                    email_to VARCHAR(1000),
+                    email_status VARCHAR(20),
+                    email_error TEXT,
+                    error_message TEXT,
+                    requested_by VARCHAR(255),
+                    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    completed_at TIMESTAMP
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_report_runs_definition ON report_runs(definition_id, started_at DESC)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_report_definitions_next_run ON report_definitions(next_run_at) WHERE enabled');
+        },
+        down: async db => {
+            await db.query('DROP TABLE IF EXISTS report_runs');
+            await db.query('DROP TABLE IF EXISTS report_definitions');
+        }
     }
-});
+];
 
-// Initialize database tables
-async function initializeDatabase() {
+// Held for the whole migration run so two servers starting together don't
+// both migrate
+const MIGRATION_LOCK = 'schema_migrations';
+
+async function withMigrationLock(work) {
+    const client = await pool.connect();
     try {
-        // Users table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                username VARCHAR(255) UNIQUE NOT NULL,
-                password VARCHAR(255) NOT NULL,
-                email VARCHAR(255),
-                role VARCHAR(50) DEFAULT 'viewer',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        await client.query('SELECT pg_advisory_lock(hashtext($1))', [MIGRATION_LOCK]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        return await work(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATION_LOCK]).catch(() => {});
+        client.release();
+    }
+}
+
+async function appliedMigrations(client) {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+}
+
+// Run one migration step in its own transaction
+async function runMigrationStep(client, migration, direction) {
+    await client.query('BEGIN');
+    try {
+        await migration[direction](client);
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migration.version} (${migration.name}) ${direction} failed: ${error.message}`;
+        throw error;
+    }
+}
+
+// Apply every pending migration. Returns the versions applied.
+async function runMigrations() {
+    return withMigrationLock(async client => {
+        const applied = new Set((await appliedMigrations(client)).map(row => row.version));
+        const unknown = [...applied].filter(version => !MIGRATIONS.some(migration => migration.version === version));
+        if (unknown.length > 0) {
+            throw new Error(`Database has migrations this version doesn't know (${unknown.join(', ')}); is the code out of date?`);
+        }
+
+        const ran = [];
+        for (const migration of MIGRATIONS) {
+            if (applied.has(migration.version)) continue;
+            await runMigrationStep(client, migration, 'up');
+            console.log(`Applied migration ${migration.version}: ${migration.name}`);
+            ran.push(migration.version);
+        }
+        return ran;
+    });
+}
+
+// Roll back applied migrations, newest first, until only versions up to
+// targetVersion remain (default: roll back just the newest)
+async function rollbackMigrations(targetVersion) {
+    return withMigrationLock(async client => {
+        const applied = (await appliedMigrations(client)).map(row => row.version).reverse();
+        const target = targetVersion === undefined ? (applied[1] || 0) : targetVersion;
+        const rolledBack = [];
+
+        for (const version of applied) {
+            if (version <= target) break;
+            const migration = MIGRATIONS.find(candidate => candidate.version === version);
+            if (!migration || !migration.down) {
+                throw new Error(`Migration ${version}${migration ? ` (${migration.name})` : ''} can't be rolled back`);
+            }
+            await runMigrationStep(client, migration, 'down');
+            console.log(`Rolled back migration ${migration.version}: ${migration.name}`);
+            rolledBack.push(version);
+        }
+        return rolledBack;
+    });
+}
+
+async function migrationStatus() {
+    return withMigrationLock(async client => {
+        const applied = new Map((await appliedMigrations(client)).map(row => [row.version, row]));
+        return MIGRATIONS.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+            reversible: !!migration.down
+        }));
+    });
+}
+
+// Bring the schema up to date, then run the startup tasks that aren't schema
+// changes. The server doesn't start on an unmigrated database.
+async function initializeDatabase() {
+    try {
+        await runMigrations();
+    } catch (error) {
+        console.error('Error migrating database:', error);
+        process.exit(1);
+    }
 
+    try {
         // Check if admin user exists
         const adminCheck = await pool.query('SELECT * FROM users WHERE username = $1', ['admin']);
         if (adminCheck.rows.length === 0) {
-            const hashedPassword = await bcrypt.hash('admin123', 10);
+            const hashedPassword = await bcrypt.hash(DEFAULT_ADMIN_PASSWORD, 10);
             await pool.query(
-                'INSERT INTO users (username, password, email, role) VALUES ($1, $2, $3, $4)',
+                'INSERT INTO users (username, password, email, role, must_change_password) VALUES ($1, $2, $3, $4, true)',
                 ['admin', hashedPassword, 'admin@antennebooks.com', 'admin']
             );
-            console.log('Default admin user created (username: admin, password: admin123)');
+            console.log(`Default admin user created (username: admin, password: ${DEFAULT_ADMIN_PASSWORD}); the password must be changed on first login`);
         }
 
-        // Gazelle sales table - UPDATED SCHEMA
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS gazelle_sales (
-                id SERIAL PRIMARY KEY,
-                order_ref VARCHAR(255),
-                order_date DATE,
-                customer VARCHAR(100),
-                customer_number VARCHAR(100),
-                customer_name VARCHAR(255),
-                invoice VARCHAR(100),
-                title TEXT,
-                publisher VARCHAR(255),
-                book_ean VARCHAR(20),
-                quantity INTEGER DEFAULT 0,
-                unit_price DECIMAL(10,2),
-                total_amount DECIMAL(10,2),
-                carrier VARCHAR(100),
-                tracking VARCHAR(255),
-                city VARCHAR(255),
-                country VARCHAR(100),
-                format VARCHAR(100),
-                discount DECIMAL(5,2),
-                upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                file_name VARCHAR(255),
-                UNIQUE(order_ref, invoice, book_ean)
-            )
-        `);
+        // Background imports don't survive a restart; their transactions were rolled back
+        await pool.query(
+            `UPDATE import_batches SET status = 'failed', error_message = 'Server restarted before the import finished',
+                completed_at = CURRENT_TIMESTAMP
+             WHERE status = 'processing'`
+        );
 
-        // Booksonix table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS booksonix (
-                id SERIAL PRIMARY KEY,
-                sku VARCHAR(100) UNIQUE,
-                isbn VARCHAR(20),
-                title VARCHAR(500),
-                publisher VARCHAR(255),
-                price DECIMAL(10,2),
-                upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+        const linked = await backfillEan13();
+        if (linked > 0) {
+            console.log(`Normalised EANs filled in for ${linked} rows`);
+        }
 
-        // Customer name mappings
+        // Sales lines with their catalogue product. Reports use catalogue_title and
+        // catalogue_publisher, which fall back to Gazelle's text when there's no match.
+        // Recreated on start so it picks up new gazelle_sales columns.
+        await pool.query('DROP VIEW IF EXISTS sales_catalogue');
         await pool.query(`
-            CREATE TABLE IF NOT EXISTS customer_name_mappings (
-                id SERIAL PRIMARY KEY,
-                original_name VARCHAR(255) UNIQUE NOT NULL,
-                display_name VARCHAR(255) NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
+            CREATE VIEW sales_catalogue AS
+            SELECT
+                g.*,
+                p.id AS product_id,
+                p.sku AS product_sku,
+                COALESCE(NULLIF(p.title, ''), g.title) AS catalogue_title,
+                COALESCE(NULLIF(p.publisher, ''), g.publisher) AS catalogue_publisher
+            FROM gazelle_sales g
+            LEFT JOIN LATERAL (
+                SELECT b.id, b.sku, b.title, b.publisher
+                FROM booksonix b
+                WHERE b.ean13 = g.ean13 AND g.ean13 <> ''
+                ORDER BY b.withdrawn_at IS NOT NULL, b.id
+                LIMIT 1
+            ) p ON true
         `);
 
+        // Backfill the customer master for databases that predate it
+        const customerCount = await pool.query('SELECT COUNT(*) FROM customers');
+        if (parseInt(customerCount.rows[0].count) === 0) {
+            const synced = await refreshCustomers();
+            if (synced > 0) {
+                console.log(`Customer master backfilled with ${synced} customers`);
+            }
+        }
+
         console.log('Database tables initialized successfully');
     } catch (error) {
         console.error('Error initializing database:', error);
     }
 }
 
-// Initialize database on startup
-initializeDatabase();
+// Fill in ean13 for sales lines and products imported before it was stored.
+// Returns the number of rows updated.
+async function backfillEan13() {
+    let updated = 0;
 
-// Login endpoint
-app.post('/api/login', async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        
-        const result = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
-        
-        if (result.rows.length === 0) {
-            return res.status(401).json({ error: 'Invalid username or password' });
-        }
-        
-        const user = result.rows[0];
-        const passwordMatch = await bcrypt.compare(password, user.password);
-        
-        if (!passwordMatch) {
-            return res.status(401).json({ error: 'Invalid username or password' });
+    const codes = await pool.query('SELECT DISTINCT COALESCE(book_ean, \'\') AS code FROM gazelle_sales WHERE ean13 IS NULL');
+    if (codes.rows.length > 0) {
+        const result = await pool.query(
+            `UPDATE gazelle_sales g SET ean13 = k.ean13
+             FROM UNNEST($1::text[], $2::text[]) AS k(code, ean13)
+             WHERE g.ean13 IS NULL AND COALESCE(g.book_ean, '') = k.code`,
+            [codes.rows.map(row => row.code), codes.rows.map(row => normaliseIsbn(row.code) || '')]
+        );
+        updated += result.rowCount;
+    }
+
+    const products = await pool.query('SELECT id, isbn, sku FROM booksonix WHERE ean13 IS NULL');
+    if (products.rows.length > 0) {
+        const result = await pool.query(
+            `UPDATE booksonix b SET ean13 = k.ean13
+             FROM UNNEST($1::integer[], $2::text[]) AS k(id, ean13)
+             WHERE b.id = k.id`,
+            [products.rows.map(row => row.id), products.rows.map(row => normaliseIsbn(row.isbn) || normaliseIsbn(row.sku) || '')]
+        );
+        updated += result.rowCount;
+    }
+
+    return updated;
+}
+
+// Rebuild the customer master from gazelle_sales. Totals, name and order dates
+// always follow the sales data; city and country keep their stored value when the
+// sales lines have none. Customers with no remaining sales are removed.
+async function refreshCustomers(db = pool) {
+    const result = await db.query(`
+        INSERT INTO customers (
+            customer_code, customer_number, customer_name, city, country,
+            first_order, last_order, total_orders, total_quantity, total_revenue, updated_at
+        )
+        SELECT
+            customer,
+            COALESCE(customer_number, ''),
+            (ARRAY_AGG(customer_name ORDER BY order_date DESC NULLS LAST, id DESC))[1],
+            (ARRAY_AGG(city ORDER BY order_date DESC NULLS LAST, id DESC) FILTER (WHERE city <> ''))[1],
+            (ARRAY_AGG(country ORDER BY order_date DESC NULLS LAST, id DESC) FILTER (WHERE country <> ''))[1],
+            MIN(order_date) FILTER (WHERE line_type = 'sale'),
+            MAX(order_date) FILTER (WHERE line_type = 'sale'),
+            COUNT(DISTINCT order_ref) FILTER (WHERE line_type = 'sale'),
+            COALESCE(SUM(quantity), 0),
+            COALESCE(SUM(total_amount), 0),
+            CURRENT_TIMESTAMP
+        FROM gazelle_sales
+        WHERE customer IS NOT NULL AND customer <> ''
+        GROUP BY customer, COALESCE(customer_number, '')
+        ON CONFLICT (customer_code, customer_number) DO UPDATE SET
+            customer_name = EXCLUDED.customer_name,
+            city = COALESCE(EXCLUDED.city, customers.city),
+            country = COALESCE(EXCLUDED.country, customers.country),
+            first_order = EXCLUDED.first_order,
+            last_order = EXCLUDED.last_order,
+            total_orders = EXCLUDED.total_orders,
+            total_quantity = EXCLUDED.total_quantity,
+            total_revenue = EXCLUDED.total_revenue,
+            updated_at = CURRENT_TIMESTAMP
+    `);
+
+    await db.query(`
+        DELETE FROM customers c
+        WHERE NOT EXISTS (
+            SELECT 1 FROM gazelle_sales g
+            WHERE g.customer = c.customer_code
+            AND COALESCE(g.customer_number, '') = c.customer_number
+        )
+    `);
+
+    return result.rowCount;
+}
+
+// Application settings stored in app_settings. Each setting has a type, a
+// default used until it is saved, and limits checked by PUT /api/settings.
+const SETTINGS = {
+    autoDetect: { type: 'boolean', default: true },
+    skipDuplicates: { type: 'boolean', default: false },
+    defaultCountry: { type: 'string', default: '', maxLength: 100 },
+    defaultCity: { type: 'string', default: '', maxLength: 255 },
+    recordsPerPage: { type: 'integer', default: 500, min: 100, max: 1000 },
+    dbTimeout: { type: 'integer', default: 30, min: 10, max: 120 },
+    alertDormantDays: { type: 'integer', default: 180, min: 14, max: 1095 },
+    alertPeriodDays: { type: 'integer', default: 90, min: 7, max: 365 }
+};
+
+let settingsCache = null;
+
+async function getSettings() {
+    if (!settingsCache) {
+        const result = await pool.query('SELECT key, value FROM app_settings');
+        const stored = new Map(result.rows.map(row => [row.key, row.value]));
+        settingsCache = Object.fromEntries(Object.entries(SETTINGS).map(([key, definition]) =>
+            [key, stored.has(key) ? stored.get(key) : definition.default]));
+    }
+    return settingsCache;
+}
+
+// Check and convert submitted values (form inputs may send numbers as strings).
+// Returns { values, errors }; unknown keys are errors.
+function validateSettings(input) {
+    const values = {};
+    const errors = [];
+
+    for (const [key, raw] of Object.entries(input || {})) {
+        const definition = SETTINGS[key];
+        if (!definition) {
+            errors.push(`Unknown setting "${key}"`);
+            continue;
         }
-        
-        res.json({ 
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                role: user.role
+
+        if (definition.type === 'boolean') {
+            if (typeof raw !== 'boolean') {
+                errors.push(`${key} must be true or false`);
+                continue;
             }
-        });
+            values[key] = raw;
+        } else if (definition.type === 'integer') {
+            const value = Number(raw);
+            if (raw === '' || raw === null || !Number.isInteger(value)) {
+                errors.push(`${key} must be a whole number`);
+            } else if (value < definition.min || value > definition.max) {
+                errors.push(`${key} must be between ${definition.min} and ${definition.max}`);
+            } else {
+                values[key] = value;
+            }
+        } else {
+            if (typeof raw !== 'string') {
+                errors.push(`${key} must be text`);
+                continue;
+            }
+            const value = raw.trim();
+            if (value.length > definition.maxLength) {
+                errors.push(`${key} must be at most ${definition.maxLength} characters`);
+            } else {
+                values[key] = value;
+            }
+        }
+    }
+
+    return { values, errors };
+}
+
+// Page size for record lists: ?limit when given, otherwise the recordsPerPage setting
+async function pageSize(req) {
+    return parseInt(req.query.limit) || (await getSettings()).recordsPerPage;
+}
+
+// Run a record-list query with the dbTimeout setting as its statement timeout
+async function queryWithTimeout(sql, params) {
+    const { dbTimeout } = await getSettings();
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query("SELECT set_config('statement_timeout', $1, true)", [String(dbTimeout * 1000)]);
+        const result = await client.query(sql, params);
+        await client.query('COMMIT');
+        return result;
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        await client.query('ROLLBACK');
+        if (error.code === '57014') {
+            const timeout = new Error(`Query took longer than ${dbTimeout} seconds`);
+            timeout.status = 504;
+            throw timeout;
+        }
+        throw error;
+    } finally {
+        client.release();
     }
-});
+}
 
-// GAZELLE UPLOAD - FIXED MAPPING
-app.post('/api/gazelle/upload', upload.single('gazelleFile'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+// Columns each import source understands. Headers are matched by name using these
+// synonyms (compared after normaliseHeader), so column order doesn't matter.
+const IMPORT_COLUMNS = {
+    gazelle: {
+        order_date: { label: 'Date', synonyms: ['date', 'order date', 'invoice date'], required: true },
+        customer: { label: 'Cus', synonyms: ['cus', 'customer', 'customer code', 'cus code', 'account'], required: true },
+        customer_number: { label: 'Cus No', synonyms: ['cus no', 'customer number', 'customer no', 'cus number', 'account number', 'account no'] },
+        customer_name: { label: 'Name', synonyms: ['name', 'customer name', 'cus name', 'account name'], required: true },
+        invoice: { label: 'Invoice', synonyms: ['invoice', 'invoice no', 'invoice number', 'inv', 'inv no'] },
+        invoice_type: { label: 'Type', synonyms: ['type', 'invoice type', 'doc type', 'document type', 'transaction type', 'trans type'] },
+        original_invoice: { label: 'Original Invoice', synonyms: ['original invoice', 'orig invoice', 'original invoice no', 'credited invoice', 'against invoice'] },
+        title: { label: 'Title', synonyms: ['title', 'book title', 'product'], required: true },
+        publisher: { label: 'Imprint', synonyms: ['imprint', 'publisher'] },
+        book_ean: { label: 'Book EAN', synonyms: ['book ean', 'ean', 'isbn', 'isbn13', 'isbn 13', 'barcode'], required: true },
+        quantity: { label: 'Quantity', synonyms: ['quantity', 'qty', 'units'], required: true },
+        total_amount: { label: 'TOTAL', synonyms: ['total', 'total amount', 'amount', 'value', 'net total'] },
+        carrier: { label: 'Carrier', synonyms: ['carrier', 'courier', 'shipping carrier'] },
+        tracking: { label: 'Tracking', synonyms: ['tracking', 'tracking no', 'tracking number'] },
+        city: { label: 'City', synonyms: ['city', 'town'] },
+        country: { label: 'Country', synonyms: ['country'] }
+    },
+    booksonix: {
+        sku: { label: 'SKU', synonyms: ['sku', 'product sku', 'product code'], required: true },
+        isbn: { label: 'ISBN', synonyms: ['isbn', 'isbn13', 'isbn 13', 'ean'] },
+        title: { label: 'Title', synonyms: ['title', 'product title', 'full title'] },
+        publisher: { label: 'Publisher', synonyms: ['publisher', 'imprint'] },
+        price: { label: 'Price', synonyms: ['price', 'rrp', 'retail price', 'gbp price'] }
+    }
+};
+
+// How many rows from the top of a sheet are searched for the header row
+const HEADER_SCAN_ROWS = 10;
+
+// Gazelle invoice types (as normalised by normaliseHeader) for credit notes and returns
+const CREDIT_INVOICE_TYPES = ['credit', 'credit note', 'cn', 'c n', 'cr', 'crn', 'return', 'returns', 'refund'];
+
+function normaliseHeader(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Locate the header row in raw sheet rows and map each known field to a column index.
+// A profile can pin the header row (1-based) and name the header to use for a field;
+// profile names are tried before the built-in synonyms. With scanForHeader off
+// (the autoDetect setting) the header must be the first row.
+function detectColumns(rawData, source, profile, scanForHeader = true) {
+    const definitions = IMPORT_COLUMNS[source];
+    const profileMap = (profile && profile.column_map) || {};
+
+    let candidateRows = [0];
+    if (profile && profile.header_row) {
+        candidateRows = [profile.header_row - 1];
+    } else if (scanForHeader) {
+        candidateRows = [...Array(Math.min(HEADER_SCAN_ROWS, rawData.length)).keys()];
+    }
+
+    let best = null;
+
+    for (const rowIndex of candidateRows) {
+        const headers = (rawData[rowIndex] || []).map(normaliseHeader);
+        const columnMap = {};
+        const usedColumns = new Set();
+
+        for (const [field, definition] of Object.entries(definitions)) {
+            const names = profileMap[field]
+                ? [normaliseHeader(profileMap[field]), ...definition.synonyms]
+                : definition.synonyms;
+
+            for (const name of names) {
+                const index = headers.findIndex((header, i) => header === name && !usedColumns.has(i));
+                if (index !== -1) {
+                    columnMap[field] = index;
+                    usedColumns.add(index);
+                    break;
+                }
+            }
+        }
+
+        const score = Object.keys(columnMap).length;
+        if (!best || score > best.score) {
+            best = { headerIndex: rowIndex, columnMap, score };
+        }
+    }
+
+    if (!best) {
+        best = { headerIndex: 0, columnMap: {}, score: 0 };
+    }
+
+    const missing = Object.entries(definitions)
+        .filter(([field, definition]) => definition.required && best.columnMap[field] === undefined)
+        .map(([field, definition]) => definition.label);
+
+    return {
+        headerIndex: best.headerIndex,
+        headers: rawData[best.headerIndex] || [],
+        columnMap: best.columnMap,
+        missing
+    };
+}
+
+// Pull the mapped fields out of one raw row; unmapped fields come back as ''
+function mapRow(row, columnMap) {
+    const record = {};
+    for (const [field, index] of Object.entries(columnMap)) {
+        const value = row[index];
+        record[field] = value === undefined || value === null ? '' : String(value).trim();
+    }
+    return record;
+}
+
+async function loadImportProfile(profileId, source) {
+    if (!profileId) return null;
+
+    const result = await pool.query('SELECT * FROM import_profiles WHERE id = $1 AND source = $2', [profileId, source]);
+    if (result.rows.length === 0) {
+        const error = new Error('Import profile not found');
+        error.status = 400;
+        throw error;
+    }
+    return result.rows[0];
+}
+
+// Tables each import source writes to, and the columns an overwrite can change
+const IMPORT_TABLES = {
+    gazelle: {
+        table: 'gazelle_sales',
+        restoreColumns: ['quantity', 'unit_price', 'total_amount', 'title', 'publisher', 'carrier', 'tracking', 'original_invoice', 'upload_date', 'batch_id']
+    },
+    booksonix: {
+        table: 'booksonix',
+        restoreColumns: ['isbn', 'ean13', 'title', 'publisher', 'price', 'withdrawn_at', 'upload_date', 'batch_id']
     }
+};
+
+async function createImportBatch(source, fileName, user) {
+    const result = await pool.query(
+        `INSERT INTO import_batches (source, file_name, user_id, uploaded_by)
+         VALUES ($1, $2, $3, $4) RETURNING id`,
+        [source, fileName, user ? user.id : null, user ? user.username : null]
+    );
+    return result.rows[0].id;
+}
 
+async function finishImportBatch(batchId, fields) {
+    await pool.query(
+        `UPDATE import_batches SET
+            status = $2,
+            total_rows = $3,
+            inserted_rows = $4,
+            updated_rows = $5,
+            skipped_rows = $6,
+            error_rows = $7,
+            error_message = $8,
+            error_report = $9,
+            withdrawn_rows = $10,
+            conflict_rows = $11,
+            progress_done = CASE WHEN $2::varchar = 'completed' THEN progress_total ELSE progress_done END,
+            completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [
+            batchId,
+            fields.status,
+            fields.totalRows || 0,
+            fields.insertedRows || 0,
+            fields.updatedRows || 0,
+            fields.skippedRows || 0,
+            fields.errorRows || 0,
+            fields.errorMessage || null,
+            JSON.stringify(fields.errorReport || []),
+            fields.withdrawnRows || 0,
+            fields.conflictRows || 0
+        ]
+    );
+}
+
+// Undo one import: delete the rows it inserted and restore the rows it overwrote.
+// Refuses when a later import has since overwritten any of those rows.
+async function rollbackImportBatch(batchId, user) {
+    const client = await pool.connect();
     try {
-        console.log('Processing Gazelle file:', req.file.originalname);
-        
-        // Read the Excel file
-        const workbook = XLSX.readFile(req.file.path);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        
-        // Convert to JSON - DO NOT SKIP HEADER ROW
-        // Use header: 1 to get raw arrays, then process manually
-        const rawData = XLSX.utils.sheet_to_json(worksheet, { 
-            header: 1,
-            defval: '',
-            raw: false,
-            dateNF: 'yyyy-mm-dd'
-        });
+        await client.query('BEGIN');
 
-        console.log('Raw data rows:', rawData.length);
-        
-        if (rawData.length < 2) {
-            fs.unlinkSync(req.file.path);
-            return res.status(400).json({ error: 'File appears to be empty or invalid' });
+        const batchResult = await client.query('SELECT * FROM import_batches WHERE id = $1 FOR UPDATE', [batchId]);
+        if (batchResult.rows.length === 0) {
+            const error = new Error('Import batch not found');
+            error.status = 404;
+            throw error;
         }
 
-        // Skip first row (it might contain other info), headers are on row 2 (index 1)
-        const headers = rawData[1]; // Second row contains headers
-        const dataRows = rawData.slice(2); // Data starts from third row
-        
-        console.log('Headers found:', headers);
-        console.log('Data rows to process:', dataRows.length);
-
-        let newRecords = 0;
-        let duplicates = 0;
-        let errors = 0;
-
-        // Process each data row
-        for (const row of dataRows) {
-            // Skip empty rows
-            if (!row || row.length === 0 || !row[1]) continue; // Check if row has data
-            
-            try {
-                // Map columns based on CORRECT specification
-                const recordData = {
-                    order_date: row[0] || null, // Column A - Date
-                    customer: row[1] || '', // Column B - Cus
-                    customer_number: row[2] || '', // Column C - Cus No
-                    customer_name: row[3] || '', // Column D - Name
-                    invoice: row[4] || '', // Column E - Invoice
-                    title: row[5] || '', // Column F - Title
-                    publisher: row[6] || '', // Column G - Imprint (maps to publisher)
-                    book_ean: row[7] || '', // Column H - Book EAN
-                    quantity: parseInt(row[8]) || 0, // Column I - Quantity
-                    total_amount: parseFloat(row[9]) || 0, // Column J - TOTAL
-                    carrier: row[10] || '', // Column K - Carrier
-                    tracking: row[11] || '', // Column L - Tracking
-                    file_name: req.file.originalname
-                };
-
-                // Parse date if it exists
-                if (recordData.order_date) {
-                    // Handle Excel serial dates
-                    if (!isNaN(recordData.order_date)) {
-                        const excelDate = parseInt(recordData.order_date);
-                        const date = new Date((excelDate - 25569) * 86400 * 1000);
-                        recordData.order_date = date.toISOString().split('T')[0];
-                    } else if (recordData.order_date.includes('/')) {
-                        // Handle date strings like "19/09/2025"
-                        const parts = recordData.order_date.split('/');
-                        if (parts.length === 3) {
-                            recordData.order_date = `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
-                        }
-                    }
-                }
+        const batch = batchResult.rows[0];
+        if (batch.status === 'rolled_back') {
+            const error = new Error('Import batch has already been rolled back');
+            error.status = 409;
+            throw error;
+        }
+        if (batch.status !== 'completed') {
+            const error = new Error(`Import batch is ${batch.status}; only completed imports can be rolled back`);
+            error.status = 409;
+            throw error;
+        }
 
-                // Calculate unit price if we have quantity and total
-                if (recordData.quantity > 0 && recordData.total_amount > 0) {
-                    recordData.unit_price = recordData.total_amount / recordData.quantity;
-                } else {
-                    recordData.unit_price = recordData.total_amount;
-                }
+        const { table, restoreColumns } = IMPORT_TABLES[batch.source];
 
-                // Generate order reference from invoice if needed
-                recordData.order_ref = recordData.invoice || `ORD-${Date.now()}`;
+        // Later imports that changed rows this one updated, or that overwrote
+        // rows this one inserted (their saved previous version is this batch's)
+        const conflicts = await client.query(
+            `SELECT t.batch_id
+             FROM import_batch_changes c
+             JOIN ${table} t ON t.id = c.row_id
+             WHERE c.batch_id = $1 AND c.table_name = $2 AND t.batch_id IS DISTINCT FROM $1
+             UNION
+             SELECT c.batch_id
+             FROM import_batch_changes c
+             WHERE c.batch_id <> $1 AND c.table_name = $2 AND c.previous->>'batch_id' = $1::text`,
+            [batchId, table]
+        );
+        if (conflicts.rows.length > 0) {
+            const laterBatches = conflicts.rows.map(row => row.batch_id).filter(id => id !== null);
+            const error = new Error(`Rows from this import were changed by later imports (${laterBatches.join(', ')}). Roll those back first.`);
+            error.status = 409;
+            throw error;
+        }
 
-                // Apply customer name mappings
-                const mappingResult = await pool.query(
-                    'SELECT display_name FROM customer_name_mappings WHERE original_name = $1',
-                    [recordData.customer_name]
-                );
+        const restored = await client.query(
+            `UPDATE ${table} t SET ${restoreColumns.map(column => `${column} = p.${column}`).join(', ')}
+             FROM import_batch_changes c, jsonb_populate_record(NULL::${table}, c.previous) p
+             WHERE c.batch_id = $1 AND c.table_name = $2 AND t.id = c.row_id`,
+            [batchId, table]
+        );
 
-                if (mappingResult.rows.length > 0) {
-                    recordData.customer_name = mappingResult.rows[0].display_name;
-                }
+        const deleted = await client.query(
+            `DELETE FROM ${table}
+             WHERE batch_id = $1
+             AND id NOT IN (SELECT row_id FROM import_batch_changes WHERE batch_id = $1 AND table_name = $2)`,
+            [batchId, table]
+        );
 
-                // Insert or update the record
-                const insertQuery = `
-                    INSERT INTO gazelle_sales (
-                        order_ref, order_date, customer, customer_number,
-                        customer_name, invoice, title, publisher, book_ean,
-                        quantity, unit_price, total_amount, carrier, tracking,
-                        file_name, upload_date
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, CURRENT_TIMESTAMP)
-                    ON CONFLICT (order_ref, invoice, book_ean) 
-                    DO UPDATE SET
-                        quantity = EXCLUDED.quantity,
-                        unit_price = EXCLUDED.unit_price,
-                        total_amount = EXCLUDED.total_amount,
-                        upload_date = CURRENT_TIMESTAMP
-                    RETURNING id
-                `;
-
-                const values = [
-                    recordData.order_ref,
-                    recordData.order_date,
-                    recordData.customer,
-                    recordData.customer_number,
-                    recordData.customer_name,
-                    recordData.invoice,
-                    recordData.title,
-                    recordData.publisher,
-                    recordData.book_ean,
-                    recordData.quantity,
-                    recordData.unit_price,
-                    recordData.total_amount,
-                    recordData.carrier,
-                    recordData.tracking,
-                    recordData.file_name
-                ];
-
-                await pool.query(insertQuery, values);
-                newRecords++;
-
-            } catch (recordError) {
-                console.error('Error processing record:', recordError);
-                errors++;
-            }
-        }
-
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
+        await client.query('DELETE FROM import_batch_changes WHERE batch_id = $1', [batchId]);
+        await client.query(
+            `UPDATE import_batches SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = $2
+             WHERE id = $1`,
+            [batchId, user ? user.username : null]
+        );
 
-        console.log(`Upload complete: ${newRecords} new, ${duplicates} duplicates, ${errors} errors`);
+        if (batch.source === 'gazelle') {
+            await refreshCustomers(client);
+        }
+        if (batch.source === 'booksonix') {
+            await client.query('DELETE FROM booksonix_history WHERE batch_id = $1', [batchId]);
+        }
 
-        res.json({
-            success: true,
-            message: `Successfully processed ${req.file.originalname}`,
-            newRecords,
-            duplicates,
-            errors
-        });
+        await client.query('COMMIT');
 
+        return {
+            deletedRows: deleted.rowCount,
+            restoredRows: restored.rowCount
+        };
     } catch (error) {
-        console.error('Gazelle upload error:', error);
-        
-        // Clean up file on error
-        if (req.file && req.file.path) {
-            try {
-                fs.unlinkSync(req.file.path);
-            } catch (unlinkError) {
-                console.error('Error deleting file:', unlinkError);
-            }
-        }
-        
-        res.status(500).json({ 
-            error: 'Failed to process file',
-            details: error.message 
-        });
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
     }
-});
+}
 
-// Test parse endpoint for debugging
-app.post('/api/test-gazelle-parse', upload.single('testFile'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+// Parse a numeric cell, tolerating currency symbols, thousands separators and
+// accounting-style negatives "(12.50)". Returns null for an empty cell and NaN
+// for anything that isn't a number.
+function parseNumber(value) {
+    let text = String(value === undefined || value === null ? '' : value).replace(/[£$€,\s]/g, '');
+    if (text === '') return null;
+
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) {
+        sign = -1;
+        text = text.slice(1, -1);
     }
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return NaN;
+    return sign * Number(text);
+}
 
-    try {
-        const workbook = XLSX.readFile(req.file.path);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        
-        // Get raw data
-        const rawData = XLSX.utils.sheet_to_json(worksheet, { 
-            header: 1,
-            defval: '',
-            raw: false
-        });
+// Normalise a date cell to YYYY-MM-DD. Accepts Excel serial numbers, dd/mm/yyyy
+// and yyyy-mm-dd. Returns null for an empty cell and undefined for an unreadable date.
+function parseSheetDate(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return null;
 
-        // Parse with headers on row 2
-        const headers = rawData[1];
-        const dataRows = rawData.slice(2);
-        
-        const parsedSample = dataRows.slice(0, 5).map(row => {
-            return {
-                Date: row[0],
-                Cus: row[1],
-                'Cus No': row[2],
-                Name: row[3],
-                Invoice: row[4],
-                Title: row[5],
-                Imprint: row[6],
-                'Book EAN': row[7],
-                Quantity: row[8],
-                TOTAL: row[9],
-                Carrier: row[10],
-                Tracking: row[11]
-            };
-        });
+    let year;
+    let month;
+    let day;
+    let match;
 
-        fs.unlinkSync(req.file.path);
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const date = new Date((Math.floor(Number(text)) - 25569) * 86400 * 1000);
+        year = date.getUTCFullYear();
+        month = date.getUTCMonth() + 1;
+        day = date.getUTCDate();
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+        day = parseInt(match[1]);
+        month = parseInt(match[2]);
+        year = parseInt(match[3]);
+        if (year < 100) year += 2000;
+    } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+        year = parseInt(match[1]);
+        month = parseInt(match[2]);
+        day = parseInt(match[3]);
+    } else {
+        return undefined;
+    }
 
-        res.json({
-            rawRowCount: rawData.length,
-            headers: headers,
-            firstRawRows: rawData.slice(0, 5),
-            method2Count: dataRows.length,
-            method2Sample: parsedSample
-        });
+    // Reject impossible dates such as 31/02/2025
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (year < 1900 || year > 2100 || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return undefined;
+    }
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function ean13CheckDigit(first12) {
+    const sum = first12.split('').reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+// Normalise an ISBN-10, ISBN-13 or EAN-13 to its 13-digit form. Hyphens and
+// spaces are ignored and ISBN-10s are converted to 978-prefixed ISBN-13s.
+// Returns null when the code is malformed or its check digit is wrong.
+function normaliseIsbn(value) {
+    const code = String(value || '').replace(/[-\s]/g, '').toUpperCase();
+
+    if (/^\d{13}$/.test(code)) {
+        return ean13CheckDigit(code.slice(0, 12)) === code[12] ? code : null;
+    }
+    if (/^\d{9}[\dX]$/.test(code)) {
+        const sum = code.split('').reduce((total, digit, i) => total + (digit === 'X' ? 10 : Number(digit)) * (10 - i), 0);
+        if (sum % 11 !== 0) return null;
+        const first12 = '978' + code.slice(0, 9);
+        return first12 + ean13CheckDigit(first12);
+    }
+    return null;
+}
+
+function isValidEan(value) {
+    return normaliseIsbn(value) !== null;
+}
+
+// Re-derive customer_name from raw_customer_name for every stored sale line,
+// so adding or removing a mapping also renames (or un-renames) past sales.
+// Returns the number of sale lines renamed.
+async function applyCustomerNameMappings(db = pool) {
+    const result = await db.query(`
+        UPDATE gazelle_sales g
+        SET customer_name = COALESCE(m.display_name, g.raw_customer_name)
+        FROM gazelle_sales s
+        LEFT JOIN customer_name_mappings m ON m.original_name = s.raw_customer_name
+        WHERE g.id = s.id
+        AND s.raw_customer_name IS NOT NULL
+        AND g.customer_name IS DISTINCT FROM COALESCE(m.display_name, s.raw_customer_name)
+    `);
+
+    if (result.rowCount > 0) {
+        await refreshCustomers(db);
+    }
+    return result.rowCount;
+}
+
+async function loadCustomerNameMappings() {
+    const result = await pool.query('SELECT original_name, display_name FROM customer_name_mappings');
+    return new Map(result.rows.map(row => [row.original_name, row.display_name]));
+}
+
+// Import files may be Excel (.xlsx, .xls), OpenDocument (.ods) or delimited
+// text (CSV, TSV). The format is taken from the file's content, not its name.
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+// Bytes read from the start of a file to tell its format, encoding and delimiter
+const FILE_SAMPLE_BYTES = 64 * 1024;
+
+function detectFileFormat(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504B0304) {
+        // OpenDocument zips hold an uncompressed "mimetype" entry
+        return buffer.includes('application/vnd.oasis.opendocument.spreadsheet') ? 'ods' : 'xlsx';
+    }
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0xD0CF11E0) {
+        return 'xls';
+    }
+    // HTML or XML spreadsheets, often saved with an .xls name
+    if (/^\uFEFF?\s*</.test(buffer.slice(0, 100).toString('utf8'))) {
+        return 'xml';
+    }
+    return 'csv';
+}
+
+// Text encoding of a delimited file: from its byte order mark, else UTF-8 if it
+// decodes cleanly, else Windows-1252 (what Excel on Windows saves CSV as).
+// buffer is the start of the file; the UTF-8 check reads the whole file.
+async function detectTextEncoding(filePath, buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+
+    // UTF-16 without a byte order mark: every other byte of plain text is zero
+    const sample = buffer.slice(0, 1000);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+    if (oddZeros > sample.length / 4) return 'utf-16le';
+    if (evenZeros > sample.length / 4) return 'utf-16be';
+
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    try {
+        for await (const chunk of fs.createReadStream(filePath)) {
+            decoder.decode(chunk, { stream: true });
+        }
+        decoder.decode();
+        return 'utf-8';
+    } catch (error) {
+        if (error instanceof TypeError) return 'windows-1252';
+        throw error;
+    }
+}
+
+// Occurrences of a delimiter in one line, ignoring any inside quoted fields
+function countDelimiter(line, delimiter) {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') quoted = !quoted;
+        else if (char === delimiter && !quoted) count++;
+    }
+    return count;
+}
+
+// The delimiter that splits the first lines into the same number of columns
+// most consistently; ties go to the one giving more columns
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/, 50).filter(line => line.trim() !== '').slice(0, 20);
+    let best = { delimiter: ',', lines: 0, columns: 0 };
+
+    for (const delimiter of CSV_DELIMITERS) {
+        const tally = new Map();
+        for (const line of lines) {
+            const count = countDelimiter(line, delimiter);
+            if (count > 0) tally.set(count, (tally.get(count) || 0) + 1);
+        }
+        for (const [columns, matching] of tally) {
+            if (matching > best.lines || (matching === best.lines && columns > best.columns)) {
+                best = { delimiter, lines: matching, columns };
+            }
+        }
+    }
+    return best.delimiter;
+}
+
+// Read a delimited text file one row at a time as arrays of strings, decoding
+// it as it streams, so a large file is never held in memory
+async function* delimitedRows(filePath, encoding, separator, firstRow, lastRow) {
+    const decoder = new TextDecoder(encoding);
+    const parsed = pipeline(
+        fs.createReadStream(filePath),
+        new Transform({
+            transform: (chunk, chunkEncoding, callback) => callback(null, decoder.decode(chunk, { stream: true })),
+            flush: callback => callback(null, decoder.decode())
+        }),
+        csvParser({ separator, headers: false }),
+        // Errors surface through the iteration below; stopping early closes the file
+        () => {}
+    );
+
+    let r = 0;
+    for await (const row of parsed) {
+        if (r >= firstRow) {
+            yield { rowNumber: r + 1, values: Object.values(row) };
+        }
+        if (r === lastRow) break;
+        r++;
+    }
+}
+
+// Walk a worksheet one row at a time as arrays of display text, so a large
+// sheet is never copied into a second full-size array. Rows are counted from
+// the top of the sheet's range, which is null for an empty sheet.
+async function* sheetRows(worksheet, range, firstRow, lastRow) {
+    if (!range) return;
+    const end = Math.min(lastRow === undefined ? range.e.r : range.s.r + lastRow, range.e.r);
+
+    for (let r = range.s.r + firstRow; r <= end; r++) {
+        const values = [];
+        for (let c = 0; c <= range.e.c; c++) {
+            const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+            if (!cell) {
+                values.push('');
+            } else if (cell.t === 'n' && Number.isInteger(cell.v) && Math.abs(cell.v) >= 1e11) {
+                // EANs stored as numbers would otherwise come out as "9.78031E+12"
+                values.push(String(cell.v));
+            } else {
+                values.push(XLSX.utils.format_cell(cell));
+            }
+        }
+        yield { rowNumber: r + 1, values };
+    }
+}
+
+// The values of every row an iterator yields, for callers that need them at once
+async function collectRowValues(rows) {
+    const values = [];
+    for await (const row of rows) {
+        values.push(row.values);
+    }
+    return values;
+}
+
+// Rows in a sheet, counting through them where the count isn't known up front
+async function countSheetRows(sheet) {
+    if (sheet.rowCount !== null) return sheet.rowCount;
+    let count = 0;
+    for await (const row of sheet.rows(0)) count++;
+    return count;
+}
+
+// The first length bytes of a file, without reading the rest
+async function readFileStart(filePath, length) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Open an import file as a list of sheets: { name, rowCount, rows(first, last) },
+// where rows is an async iterator of { rowNumber, values } for rows counted from
+// the top of the sheet. A delimited text file is a single sheet, streamed from
+// disk each time its rows are read, so its rowCount is null. Workbooks are read
+// whole, as the xlsx library cannot stream them. With headerOnly, only the first
+// HEADER_SCAN_ROWS rows of each sheet are read.
+async function openImportFile(filePath, headerOnly = false) {
+    const sample = await readFileStart(filePath, FILE_SAMPLE_BYTES);
+    const format = detectFileFormat(sample);
+
+    if (format === 'csv') {
+        const encoding = await detectTextEncoding(filePath, sample);
+        const delimiter = detectDelimiter(new TextDecoder(encoding).decode(sample));
+        const limit = headerOnly ? HEADER_SCAN_ROWS - 1 : undefined;
+
+        return {
+            format: delimiter === '\t' ? 'tsv' : 'csv',
+            encoding,
+            delimiter,
+            sheets: [{
+                name: 'Sheet1',
+                rowCount: null,
+                rows: (first, last = limit) => delimitedRows(filePath, encoding, delimiter, first, last)
+            }]
+        };
+    }
+
+    const buffer = await fs.promises.readFile(filePath);
+    let workbook;
+    try {
+        workbook = XLSX.read(buffer, {
+            type: 'buffer',
+            cellFormula: false,
+            cellHTML: false,
+            sheetRows: headerOnly ? HEADER_SCAN_ROWS : 0
+        });
+    } catch (error) {
+        const readError = new Error(`Could not read the file as a spreadsheet: ${error.message}`);
+        readError.status = 400;
+        throw readError;
+    }
+
+    return {
+        format,
+        sheets: workbook.SheetNames.map(name => {
+            const worksheet = workbook.Sheets[name];
+            const range = worksheet && worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : null;
+            return {
+                name,
+                rowCount: range ? range.e.r - range.s.r + 1 : 0,
+                rows: (first, last) => sheetRows(worksheet, range, first, last)
+            };
+        })
+    };
+}
+
+// Data rows below each sheet's header, with the sheet's column map. The sheet
+// name is only given when rows come from more than one sheet.
+async function* importDataRows(selected) {
+    for (const { sheet, detection } of selected) {
+        for await (const row of sheet.rows(detection.headerIndex + 1)) {
+            yield { ...row, columnMap: detection.columnMap, sheet: selected.length > 1 ? sheet.name : null };
+        }
+    }
+}
+
+// How an earlier row is referred to in warnings
+function rowLabel(rowNumber, sheet) {
+    return sheet ? `row ${rowNumber} of sheet "${sheet}"` : `row ${rowNumber}`;
+}
+
+// Read an uploaded file and locate its columns, sheet by sheet. sheetNames picks
+// the sheets to import; by default every sheet with the required columns is
+// read, or the first sheet when none has them (which then fails as missing
+// columns). Returns the format, the sheets read, the first sheet's detection and
+// an async iterator over the data rows (see importDataRows).
+// Throws a 400 error when the file or a chosen sheet is empty or missing, or
+// required columns are missing.
+async function readImportFile(filePath, source, profileId, sheetNames = []) {
+    const file = await openImportFile(filePath);
+
+    // Only the first rows are needed to find the header row
+    const profile = await loadImportProfile(profileId, source);
+    const scanRows = Math.max(HEADER_SCAN_ROWS, profile && profile.header_row ? profile.header_row : 0);
+    const { autoDetect } = await getSettings();
+    const detect = async sheet => {
+        const headRows = await collectRowValues(sheet.rows(0, scanRows - 1));
+        return {
+            sheet,
+            hasData: headRows.length > 1,
+            detection: detectColumns(headRows, source, profile, autoDetect)
+        };
+    };
+
+    let selected = [];
+    if (sheetNames.length > 0) {
+        for (const name of sheetNames) {
+            const sheet = file.sheets.find(candidate => candidate.name === name);
+            if (!sheet) {
+                const error = new Error(`Sheet "${name}" not found in this file`);
+                error.status = 400;
+                throw error;
+            }
+            selected.push(await detect(sheet));
+        }
+    } else {
+        const candidates = [];
+        for (const sheet of file.sheets) {
+            const candidate = await detect(sheet);
+            if (candidate.hasData) candidates.push(candidate);
+        }
+        const matching = candidates.filter(({ detection }) => detection.missing.length === 0);
+        selected = matching.length > 0 ? matching : candidates.slice(0, 1);
+    }
+
+    if (selected.length === 0) {
+        const error = new Error('File appears to be empty or invalid');
+        error.status = 400;
+        throw error;
+    }
+
+    for (const { sheet, hasData, detection } of selected) {
+        const inSheet = file.sheets.length > 1 ? ` in sheet "${sheet.name}"` : '';
+
+        if (!hasData) {
+            const error = new Error(file.sheets.length > 1 ? `Sheet "${sheet.name}" is empty` : 'File appears to be empty or invalid');
+            error.status = 400;
+            throw error;
+        }
+        if (detection.missing.length > 0) {
+            const error = new Error(`Required columns not found${inSheet}: ${detection.missing.join(', ')}`);
+            error.status = 400;
+            error.details = {
+                missingColumns: detection.missing,
+                headers: detection.headers,
+                headerRow: detection.headerIndex + 1,
+                sheet: sheet.name
+            };
+            throw error;
+        }
+    }
+
+    return {
+        format: file.format,
+        sheets: selected.map(({ sheet }) => sheet.name),
+        detection: selected[0].detection,
+        dataRows: importDataRows(selected)
+    };
+}
+
+// Columns that identify a sale line with no invoice: the whole row as
+// imported. Kept in step with the SQL below, which fillGazelleLineKeys uses
+// to key stored lines.
+function gazelleRowValues(record) {
+    return [
+        record.order_date || '', record.customer, record.customer_number, record.raw_customer_name,
+        record.title, record.publisher, record.book_ean, String(record.quantity),
+        Number(record.total_amount).toFixed(2), record.line_type
+    ];
+}
+
+const GAZELLE_ROW_KEY_SQL = `COALESCE(order_date::text, ''), COALESCE(customer, ''), COALESCE(customer_number, ''),
+    COALESCE(raw_customer_name, ''), COALESCE(title, ''), COALESCE(publisher, ''), COALESCE(book_ean, ''),
+    COALESCE(quantity, 0)::text, COALESCE(total_amount, 0)::numeric(10,2)::text, line_type`;
+
+// A sale line is its invoice, type and EAN, or the full row when the invoice
+// is blank. The same identity can appear more than once in a file (two lines
+// for one EAN on an invoice), so the key adds the line's position among them.
+function gazelleLineIdentity(record) {
+    const parts = record.invoice
+        ? ['invoice', record.invoice, record.line_type, record.book_ean]
+        : ['row', ...gazelleRowValues(record)];
+    return parts.join('\x1f');
+}
+
+function gazelleLineKey(identity, position) {
+    return crypto.createHash('md5').update(`${identity}\x1f${position}`).digest('hex');
+}
+
+// Key stored lines that have no line_key (from before migration 8, or restored
+// from an older backup) the same way gazelleLineKey would on a re-upload
+async function fillGazelleLineKeys(db = pool) {
+    await db.query(`
+        UPDATE gazelle_sales g SET line_key = k.line_key
+        FROM (
+            SELECT id, md5(concat_ws(chr(31), 'invoice', invoice, line_type, COALESCE(book_ean, ''),
+                ROW_NUMBER() OVER (PARTITION BY invoice, line_type, COALESCE(book_ean, '') ORDER BY id))) AS line_key
+            FROM gazelle_sales
+            WHERE line_key IS NULL AND COALESCE(invoice, '') <> ''
+        ) k
+        WHERE g.id = k.id
+    `);
+    await db.query(`
+        UPDATE gazelle_sales g SET line_key = k.line_key
+        FROM (
+            SELECT id, md5(concat_ws(chr(31), 'row', ${GAZELLE_ROW_KEY_SQL},
+                ROW_NUMBER() OVER (PARTITION BY ${GAZELLE_ROW_KEY_SQL} ORDER BY id))) AS line_key
+            FROM gazelle_sales
+            WHERE line_key IS NULL AND COALESCE(invoice, '') = ''
+        ) k
+        WHERE g.id = k.id
+    `);
+}
+
+// Turn sheet rows into import rows: { row, record, errors, warnings }.
+// Rows with errors are reported but never written.
+async function prepareGazelleRows(dataRows, detection, fileName) {
+    // Name mappings are loaded once per file, not per row
+    const mappings = await loadCustomerNameMappings();
+    const { defaultCountry, defaultCity } = await getSettings();
+    const positions = new Map();
+    const rows = [];
+
+    for await (const { rowNumber, values: row, columnMap, sheet } of dataRows) {
+        // Skip empty rows and lines without a customer (totals, notes)
+        if (row.every(value => value === '')) continue;
+        const mapped = mapRow(row, columnMap);
+        if (!mapped.customer) continue;
+
+        const errors = [];
+        const warnings = [];
+
+        const orderDate = parseSheetDate(mapped.order_date);
+        if (orderDate === undefined) {
+            errors.push(`Unrecognised date "${mapped.order_date}"`);
+        } else if (orderDate === null) {
+            warnings.push('No order date');
+        }
+
+        const quantity = parseNumber(mapped.quantity);
+        if (Number.isNaN(quantity)) {
+            errors.push(`Quantity "${mapped.quantity}" is not a number`);
+        } else if (quantity !== null && !Number.isInteger(quantity)) {
+            errors.push(`Quantity "${mapped.quantity}" is not a whole number`);
+        }
+
+        const totalAmount = parseNumber(mapped.total_amount);
+        if (Number.isNaN(totalAmount)) {
+            errors.push(`Total "${mapped.total_amount}" is not a number`);
+        }
+
+        if (mapped.book_ean.length > 20) {
+            errors.push(`Book EAN "${mapped.book_ean}" is too long`);
+        } else if (!mapped.book_ean) {
+            warnings.push('No book EAN');
+        } else if (!isValidEan(mapped.book_ean)) {
+            warnings.push(`Invalid EAN "${mapped.book_ean}"`);
+        }
+
+        const record = {
+            order_date: orderDate || null,
+            customer: mapped.customer,
+            customer_number: mapped.customer_number || '',
+            customer_name: mappings.get(mapped.customer_name || '') || mapped.customer_name || '',
+            raw_customer_name: mapped.customer_name || '',
+            invoice: mapped.invoice || '',
+            title: mapped.title || '',
+            publisher: mapped.publisher || '',
+            book_ean: mapped.book_ean || '',
+            ean13: normaliseIsbn(mapped.book_ean) || '',
+            quantity: quantity || 0,
+            total_amount: totalAmount || 0,
+            carrier: mapped.carrier || '',
+            tracking: mapped.tracking || '',
+            city: mapped.city || defaultCity || null,
+            country: mapped.country || defaultCountry || null,
+            file_name: fileName,
+            line_type: 'sale',
+            original_invoice: mapped.original_invoice || null
+        };
+
+        // Credit notes are recognised by their invoice type or negative figures, and
+        // stored with negative quantity and value however the file signs them
+        if (CREDIT_INVOICE_TYPES.includes(normaliseHeader(mapped.invoice_type)) || record.quantity < 0 || record.total_amount < 0) {
+            record.line_type = 'return';
+            record.quantity = -Math.abs(record.quantity);
+            record.total_amount = -Math.abs(record.total_amount);
+        }
+
+        // Calculate unit price if we have quantity and total
+        if (record.quantity !== 0 && record.total_amount !== 0) {
+            record.unit_price = record.total_amount / record.quantity;
+        } else {
+            record.unit_price = record.total_amount;
+        }
+
+        // Repeats of a line in the file are numbered so each one is kept. Rows
+        // with errors are left out so fixing one doesn't renumber the others.
+        if (errors.length === 0) {
+            const identity = gazelleLineIdentity(record);
+            const position = (positions.get(identity) || 0) + 1;
+            positions.set(identity, position);
+            record.line_key = gazelleLineKey(identity, position);
+        }
+
+        // Lines without an invoice are each an order of their own
+        record.order_ref = record.invoice || (record.line_key ? `ORD-${record.line_key.slice(0, 12)}` : '');
+
+        rows.push({ row: rowNumber, sheet, record, errors, warnings });
+    }
+
+    await linkReturnsToInvoices(rows);
+    return rows;
+}
+
+// Fill in original_invoice for returns that don't name one: the invoice of the
+// customer's latest sale of the same EAN on or before the return, looked for in
+// the same file first and then in stored sales
+async function linkReturnsToInvoices(rows) {
+    const valid = rows.filter(row => row.errors.length === 0 && row.record.book_ean);
+    const unlinked = valid.filter(row => row.record.line_type === 'return' && !row.record.original_invoice);
+    if (unlinked.length === 0) return;
+
+    const isEarlier = (sale, line) => !line.order_date || (sale.order_date && sale.order_date <= line.order_date);
+    const fileSales = valid.filter(row => row.record.line_type === 'sale' && row.record.invoice).map(row => row.record);
+
+    const remaining = [];
+    for (const row of unlinked) {
+        const record = row.record;
+        const match = fileSales
+            .filter(sale => sale.customer === record.customer && sale.book_ean === record.book_ean && isEarlier(sale, record))
+            .sort((a, b) => (b.order_date || '').localeCompare(a.order_date || ''))[0];
+        if (match) {
+            record.original_invoice = match.invoice;
+        } else {
+            remaining.push(row);
+        }
+    }
+    if (remaining.length === 0) return;
+
+    const result = await pool.query(
+        `SELECT r.position, s.invoice
+         FROM UNNEST($1::text[], $2::text[], $3::date[]) WITH ORDINALITY AS r(customer, book_ean, order_date, position)
+         CROSS JOIN LATERAL (
+            SELECT invoice FROM gazelle_sales
+            WHERE customer = r.customer AND book_ean = r.book_ean AND line_type = 'sale' AND invoice <> ''
+            AND (r.order_date IS NULL OR order_date <= r.order_date)
+            ORDER BY order_date DESC NULLS LAST, id DESC
+            LIMIT 1
+         ) s`,
+        [
+            remaining.map(row => row.record.customer),
+            remaining.map(row => row.record.book_ean),
+            remaining.map(row => row.record.order_date)
+        ]
+    );
+    for (const match of result.rows) {
+        remaining[match.position - 1].record.original_invoice = match.invoice;
+    }
+    for (const row of remaining) {
+        if (!row.record.original_invoice) {
+            row.warnings.push('Return not matched to an original invoice');
+        }
+    }
+}
+
+// Fields of a sale line a re-upload may correct, and fields that must match
+// for a re-uploaded line to be the same sale
+const GAZELLE_CHANGE_FIELDS = ['quantity', 'unit_price', 'total_amount', 'title', 'publisher', 'carrier', 'tracking', 'original_invoice'];
+const GAZELLE_CONFLICT_FIELDS = ['customer', 'order_date'];
+
+function gazelleFieldValue(field, value) {
+    if (value === null || value === undefined) return null;
+    if (['quantity', 'unit_price', 'total_amount'].includes(field)) return Math.round(Number(value) * 100) / 100;
+    if (value instanceof Date) return localIsoDate(value);
+    return String(value);
+}
+
+function diffGazelleLine(stored, record, fields) {
+    const changes = {};
+    for (const field of fields) {
+        const before = gazelleFieldValue(field, stored[field]);
+        const after = gazelleFieldValue(field, record[field]);
+        // An original invoice is only ever filled in, never cleared
+        if (field === 'original_invoice' && after === null) continue;
+        if (before !== after && (before || '') !== (after || '')) {
+            changes[field] = { from: before, to: after };
+        }
+    }
+    return changes;
+}
+
+function describeChanges(changes) {
+    return Object.entries(changes)
+        .map(([field, change]) => `${field.replace(/_/g, ' ')} ${change.from === null ? '(blank)' : change.from} → ${change.to === null ? '(blank)' : change.to}`)
+        .join(', ');
+}
+
+// Clear what an earlier classification of a row found, before it is compared
+// with stored data again
+function resetClassification(row) {
+    row.action = row.errors.length > 0 ? 'error' : null;
+    row.storedWarnings = [];
+    delete row.existingId;
+    delete row.changes;
+    delete row.conflicts;
+}
+
+// Compare valid rows with what is stored, matching on line_key: action is
+// 'insert', 'update' (with a per-field diff in changes), 'unchanged', or
+// 'conflict' when the stored line with that key is for another customer or
+// date (conflicts are reported but not written). Also flags customers not
+// seen before. What this finds goes in storedWarnings, apart from the file's
+// own warnings, and is worked out afresh each time the rows are classified.
+async function classifyGazelleRows(rows) {
+    const validRows = rows.filter(row => row.errors.length === 0);
+    rows.forEach(resetClassification);
+
+    const existing = new Map();
+    for (let i = 0; i < validRows.length; i += 5000) {
+        const keys = validRows.slice(i, i + 5000).map(row => row.record.line_key);
+        const result = await pool.query('SELECT * FROM gazelle_sales WHERE line_key = ANY($1)', [keys]);
+        for (const stored of result.rows) {
+            existing.set(stored.line_key, stored);
+        }
+    }
+
+    const { skipDuplicates } = await getSettings();
+    const codes = [...new Set(validRows.map(row => row.record.customer))];
+    const known = await pool.query('SELECT DISTINCT customer_code FROM customers WHERE customer_code = ANY($1)', [codes]);
+    const knownCodes = new Set(known.rows.map(row => row.customer_code));
+
+    for (const row of validRows) {
+        const record = row.record;
+        const stored = existing.get(record.line_key);
+
+        if (!knownCodes.has(record.customer)) {
+            row.storedWarnings.push(`New customer "${record.customer}" (${record.customer_name}) is not in the customer directory`);
+        }
+
+        if (!stored) {
+            row.action = 'insert';
+            continue;
+        }
+
+        row.existingId = stored.id;
+
+        const conflicts = diffGazelleLine(stored, record, GAZELLE_CONFLICT_FIELDS);
+        if (Object.keys(conflicts).length > 0) {
+            row.action = 'conflict';
+            row.conflicts = conflicts;
+            row.storedWarnings.push(`Conflicts with stored sale line ${stored.id} (${describeChanges(conflicts)}); not imported`);
+            continue;
+        }
+
+        const changes = diffGazelleLine(stored, record, GAZELLE_CHANGE_FIELDS);
+        row.action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+        if (row.action === 'update' && skipDuplicates) {
+            // Skip duplicates setting: stored sale lines are never overwritten
+            row.action = 'unchanged';
+            row.storedWarnings.push(`Duplicate of existing sale line ${stored.id}; skipped`);
+        } else if (row.action === 'update') {
+            row.changes = changes;
+            row.storedWarnings.push(`Changes stored sale line ${stored.id}: ${describeChanges(changes)}`);
+        }
+    }
+
+    return rows;
+}
+
+// Rows per multi-row INSERT when writing an import
+const IMPORT_CHUNK_SIZE = 1000;
+
+// Write classified rows with one multi-row upsert per chunk, keyed on
+// line_key. Only inserts and updates are written; rows with errors, unchanged
+// rows and conflicts are left alone.
+async function writeGazelleRows(client, rows, batchId, onProgress) {
+    const pending = rows
+        .filter(row => row.errors.length === 0 && (row.action === 'insert' || row.action === 'update'))
+        .map(row => row.record);
+    const counts = { inserted: 0, updated: 0 };
+
+    for (let i = 0; i < pending.length; i += IMPORT_CHUNK_SIZE) {
+        const chunk = pending.slice(i, i + IMPORT_CHUNK_SIZE);
+        const column = field => chunk.map(record => record[field]);
+
+        // Keep the version of each row this batch overwrites, for rollback
+        await client.query(
+            `INSERT INTO import_batch_changes (batch_id, table_name, row_id, previous)
+             SELECT $1, 'gazelle_sales', g.id, to_jsonb(g)
+             FROM gazelle_sales g
+             WHERE g.line_key = ANY($2) AND g.batch_id IS DISTINCT FROM $1`,
+            [batchId, column('line_key')]
+        );
+
+        const result = await client.query(
+            `INSERT INTO gazelle_sales (
+                order_ref, order_date, customer, customer_number,
+                customer_name, invoice, title, publisher, book_ean,
+                quantity, unit_price, total_amount, carrier, tracking,
+                file_name, city, country, ean13, raw_customer_name, line_type, original_invoice, line_key,
+                batch_id, upload_date
+            )
+            SELECT *, $23::integer, CURRENT_TIMESTAMP FROM UNNEST(
+                $1::text[], $2::date[], $3::text[], $4::text[],
+                $5::text[], $6::text[], $7::text[], $8::text[], $9::text[],
+                $10::integer[], $11::numeric[], $12::numeric[], $13::text[], $14::text[],
+                $15::text[], $16::text[], $17::text[], $18::text[], $19::text[], $20::text[], $21::text[], $22::text[]
+            )
+            ON CONFLICT (line_key)
+            DO UPDATE SET
+                quantity = EXCLUDED.quantity,
+                unit_price = EXCLUDED.unit_price,
+                total_amount = EXCLUDED.total_amount,
+                title = EXCLUDED.title,
+                publisher = EXCLUDED.publisher,
+                carrier = EXCLUDED.carrier,
+                tracking = EXCLUDED.tracking,
+                original_invoice = COALESCE(EXCLUDED.original_invoice, gazelle_sales.original_invoice),
+                batch_id = EXCLUDED.batch_id,
+                upload_date = CURRENT_TIMESTAMP
+            RETURNING (xmax = 0) AS inserted`,
+            [
+                column('order_ref'),
+                column('order_date'),
+                column('customer'),
+                column('customer_number'),
+                column('customer_name'),
+                column('invoice'),
+                column('title'),
+                column('publisher'),
+                column('book_ean'),
+                column('quantity'),
+                column('unit_price'),
+                column('total_amount'),
+                column('carrier'),
+                column('tracking'),
+                column('file_name'),
+                column('city'),
+                column('country'),
+                column('ean13'),
+                column('raw_customer_name'),
+                column('line_type'),
+                column('original_invoice'),
+                column('line_key'),
+                batchId
+            ]
+        );
+
+        const inserted = result.rows.filter(row => row.inserted).length;
+        counts.inserted += inserted;
+        counts.updated += result.rows.length - inserted;
+
+        await onProgress(i + chunk.length, pending.length);
+    }
+
+    return counts;
+}
+
+async function prepareBooksonixRows(dataRows) {
+    const seenSkus = new Map();
+    const rows = [];
+
+    for await (const { rowNumber, values: row, columnMap, sheet } of dataRows) {
+        if (row.every(value => value === '')) continue;
+        const mapped = mapRow(row, columnMap);
+
+        // SKUs are stored without hyphens
+        const sku = (mapped.sku || '').replace(/-/g, '');
+        if (!sku) continue;
+
+        const errors = [];
+        const warnings = [];
+
+        const price = parseNumber(mapped.price);
+        if (Number.isNaN(price)) {
+            errors.push(`Price "${mapped.price}" is not a number`);
+        }
+
+        if (mapped.isbn && !isValidEan(mapped.isbn)) {
+            warnings.push(`Invalid ISBN "${mapped.isbn}"`);
+        }
+
+        // Catalogue key for matching sales: the ISBN, or the SKU when it is one
+        const ean13 = 'isbn' in columnMap
+            ? normaliseIsbn(mapped.isbn) || normaliseIsbn(sku) || ''
+            : null;
+
+        if (seenSkus.has(sku)) {
+            warnings.push(`SKU also appears on ${seenSkus.get(sku)}; this row replaces it`);
+        }
+        seenSkus.set(sku, rowLabel(rowNumber, sheet));
+
+        rows.push({
+            row: rowNumber,
+            sheet,
+            // Fields without a column in this file are null and left unchanged
+            record: {
+                sku,
+                isbn: 'isbn' in columnMap ? mapped.isbn : null,
+                title: 'title' in columnMap ? mapped.title : null,
+                publisher: 'publisher' in columnMap ? mapped.publisher : null,
+                price,
+                ean13
+            },
+            errors,
+            warnings
+        });
+    }
+
+    return rows;
+}
+
+// Catalogue fields a Booksonix export can change, and how to compare them
+const BOOKSONIX_FIELDS = ['isbn', 'title', 'publisher', 'price'];
+
+function booksonixFieldValue(field, value) {
+    if (value === null || value === undefined) return null;
+    return field === 'price' ? Math.round(Number(value) * 100) / 100 : String(value);
+}
+
+// Field-by-field differences between a stored product and an incoming record.
+// Fields the file doesn't have (null) are left as they are.
+function diffBooksonixRecord(stored, record) {
+    const changes = {};
+    for (const field of BOOKSONIX_FIELDS) {
+        if (record[field] === null) continue;
+        const before = booksonixFieldValue(field, stored[field]);
+        const after = booksonixFieldValue(field, record[field]);
+        if (before !== after) {
+            changes[field] = { from: before, to: after };
+        }
+    }
+    if (stored.withdrawn_at) {
+        changes.withdrawn = { from: true, to: false };
+    }
+    return changes;
+}
+
+async function loadBooksonixProducts(db, skus, lock = false) {
+    const result = await db.query(
+        `SELECT * FROM booksonix WHERE sku = ANY($1)${lock ? ' FOR UPDATE' : ''}`,
+        [skus]
+    );
+    return new Map(result.rows.map(row => [row.sku, row]));
+}
+
+// Compare valid rows with the catalogue: 'insert', 'update' (with a per-field
+// diff in changes) or 'unchanged'
+async function classifyBooksonixRows(rows) {
+    const validRows = rows.filter(row => row.errors.length === 0);
+    rows.forEach(resetClassification);
+
+    const existing = await loadBooksonixProducts(pool, validRows.map(row => row.record.sku));
+
+    for (const row of validRows) {
+        const stored = existing.get(row.record.sku);
+        if (!stored) {
+            row.action = 'insert';
+            continue;
+        }
+
+        const changes = diffBooksonixRecord(stored, row.record);
+        row.existingId = stored.id;
+        row.action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+        if (row.action === 'update') {
+            row.changes = changes;
+        }
+    }
+
+    return rows;
+}
+
+// Why a full export can't withdraw missing products, or null if it can. A file
+// with rows in error, or with no products at all, isn't trusted to list the
+// whole catalogue.
+function fullExportProblem(rows) {
+    if (rows.length === 0) {
+        return 'the file lists no products';
+    }
+    const errorRows = rows.filter(row => row.errors.length > 0).length;
+    return errorRows > 0 ? `${errorRows} row(s) have errors` : null;
+}
+
+// Products a full export no longer lists. These are marked withdrawn rather
+// than deleted, so their sales history still links up.
+async function findMissingProducts(db, rows) {
+    if (fullExportProblem(rows)) {
+        return [];
+    }
+
+    const skus = rows.map(row => row.record.sku);
+    const result = await db.query(
+        'SELECT * FROM booksonix WHERE withdrawn_at IS NULL AND NOT (sku = ANY($1))',
+        [skus]
+    );
+    return result.rows;
+}
+
+async function recordBooksonixHistory(client, entries, batchId, user) {
+    for (let i = 0; i < entries.length; i += IMPORT_CHUNK_SIZE) {
+        const chunk = entries.slice(i, i + IMPORT_CHUNK_SIZE);
+        const column = field => chunk.map(entry => entry[field] === null || entry[field] === undefined ? null : String(entry[field]));
+
+        await client.query(
+            `INSERT INTO booksonix_history (sku, change_type, field, old_value, new_value, batch_id, changed_by)
+             SELECT *, $6::integer, $7::text FROM UNNEST($1::text[], $2::text[], $3::text[], $4::text[], $5::text[])`,
+            [column('sku'), column('change_type'), column('field'), column('from'), column('to'), batchId, user ? user.username : null]
+        );
+    }
+}
+
+// Upsert the catalogue. Changes are diffed against the locked stored rows, so
+// the history reflects what was actually overwritten. With fullExport set,
+// products missing from the file are marked withdrawn.
+async function writeBooksonixRows(client, rows, batchId, onProgress, options = {}) {
+    // Later rows for the same SKU replace earlier ones
+    const latest = new Map();
+    for (const row of rows) {
+        if (row.errors.length > 0) continue;
+        latest.set(row.record.sku, row.record);
+    }
+    const records = [...latest.values()];
+    const counts = { inserted: 0, updated: 0, withdrawn: 0 };
+
+    for (let i = 0; i < records.length; i += IMPORT_CHUNK_SIZE) {
+        const chunk = records.slice(i, i + IMPORT_CHUNK_SIZE);
+        const existing = await loadBooksonixProducts(client, chunk.map(record => record.sku), true);
+
+        const pending = [];
+        const changedIds = [];
+        const history = [];
+
+        for (const record of chunk) {
+            const stored = existing.get(record.sku);
+            if (!stored) {
+                pending.push({ ...record, ean13: record.ean13 === null ? normaliseIsbn(record.sku) || '' : record.ean13 });
+                for (const field of BOOKSONIX_FIELDS) {
+                    if (record[field] !== null && record[field] !== '') {
+                        history.push({ sku: record.sku, change_type: 'created', field, from: null, to: booksonixFieldValue(field, record[field]) });
+                    }
+                }
+                continue;
+            }
+
+            const changes = diffBooksonixRecord(stored, record);
+            if (Object.keys(changes).length === 0) continue;
+
+            pending.push(record);
+            if (stored.batch_id !== batchId) {
+                changedIds.push(stored.id);
+            }
+            for (const [field, change] of Object.entries(changes)) {
+                history.push({
+                    sku: record.sku,
+                    change_type: field === 'withdrawn' ? 'restored' : 'updated',
+                    field,
+                    from: change.from,
+                    to: change.to
+                });
+            }
+        }
+
+        // Keep the version of each row this batch overwrites, for rollback
+        await client.query(
+            `INSERT INTO import_batch_changes (batch_id, table_name, row_id, previous)
+             SELECT $1, 'booksonix', b.id, to_jsonb(b) FROM booksonix b WHERE b.id = ANY($2)`,
+            [batchId, changedIds]
+        );
+
+        if (pending.length > 0) {
+            const column = field => pending.map(record => record[field]);
+            const result = await client.query(
+                `INSERT INTO booksonix (sku, isbn, title, publisher, price, ean13, batch_id)
+                 SELECT *, $7::integer FROM UNNEST($1::text[], $2::text[], $3::text[], $4::text[], $5::numeric[], $6::text[])
+                 ON CONFLICT (sku) DO UPDATE SET
+                    isbn = COALESCE(EXCLUDED.isbn, booksonix.isbn),
+                    ean13 = COALESCE(EXCLUDED.ean13, booksonix.ean13),
+                    title = COALESCE(EXCLUDED.title, booksonix.title),
+                    publisher = COALESCE(EXCLUDED.publisher, booksonix.publisher),
+                    price = COALESCE(EXCLUDED.price, booksonix.price),
+                    withdrawn_at = NULL,
+                    batch_id = EXCLUDED.batch_id,
+                    upload_date = CURRENT_TIMESTAMP
+                 RETURNING (xmax = 0) AS inserted`,
+                [column('sku'), column('isbn'), column('title'), column('publisher'), column('price'), column('ean13'), batchId]
+            );
+
+            const inserted = result.rows.filter(row => row.inserted).length;
+            counts.inserted += inserted;
+            counts.updated += result.rows.length - inserted;
+        }
+
+        await recordBooksonixHistory(client, history, batchId, options.user);
+        await onProgress(i + chunk.length, records.length);
+    }
+
+    if (options.fullExport) {
+        const missing = await findMissingProducts(client, rows);
+
+        await client.query(
+            `INSERT INTO import_batch_changes (batch_id, table_name, row_id, previous)
+             SELECT $1, 'booksonix', b.id, to_jsonb(b) FROM booksonix b
+             WHERE b.id = ANY($2) AND b.batch_id IS DISTINCT FROM $1`,
+            [batchId, missing.map(product => product.id)]
+        );
+        await client.query(
+            'UPDATE booksonix SET withdrawn_at = CURRENT_TIMESTAMP, batch_id = $1 WHERE id = ANY($2)',
+            [batchId, missing.map(product => product.id)]
+        );
+        await recordBooksonixHistory(
+            client,
+            missing.map(product => ({ sku: product.sku, change_type: 'withdrawn', field: 'withdrawn', from: false, to: true })),
+            batchId,
+            options.user
+        );
+        counts.withdrawn = missing.length;
+    }
+
+    return counts;
+}
+
+// Per-source import steps: prepare (parse + validate), classify (diff against
+// stored data) and write. write and afterWrite run inside the import transaction;
+// the optional summarise adds source-specific counts to a preview.
+const IMPORTERS = {
+    gazelle: {
+        prepare: prepareGazelleRows,
+        classify: classifyGazelleRows,
+        write: writeGazelleRows,
+        afterWrite: client => refreshCustomers(client)
+    },
+    booksonix: {
+        prepare: prepareBooksonixRows,
+        classify: classifyBooksonixRows,
+        write: writeBooksonixRows,
+        afterWrite: async () => {},
+        summarise: async (rows, options) => ({
+            withdraw: options.fullExport ? (await findMissingProducts(pool, rows)).length : 0,
+            withdrawBlocked: options.fullExport ? fullExportProblem(rows) : null
+        })
+    }
+};
+
+// Read, validate and classify an uploaded file without writing anything
+async function analyseImportFile(source, filePath, fileName, profileId, sheetNames) {
+    const { dataRows, detection, format, sheets } = await readImportFile(filePath, source, profileId, sheetNames);
+    const importer = IMPORTERS[source];
+    const rows = await importer.prepare(dataRows, detection, fileName);
+    await importer.classify(rows);
+    return { rows, detection, format, sheets };
+}
+
+// Warnings from reading a row, then from comparing it with stored data
+function importRowWarnings(row) {
+    return row.warnings.concat(row.storedWarnings || []);
+}
+
+function summariseImportRows(rows) {
+    const summary = { totalRows: rows.length, validRows: 0, errorRows: 0, warningRows: 0, insert: 0, update: 0, unchanged: 0, conflict: 0 };
+    for (const row of rows) {
+        if (row.errors.length > 0) {
+            summary.errorRows++;
+        } else {
+            summary.validRows++;
+            summary[row.action]++;
+        }
+        if (importRowWarnings(row).length > 0) {
+            summary.warningRows++;
+        }
+    }
+    return summary;
+}
+
+// One entry per problem, for the downloadable report
+function buildImportReport(rows) {
+    const report = [];
+    for (const row of rows) {
+        for (const message of row.errors) {
+            report.push({ row: row.row, sheet: row.sheet, level: 'error', message });
+        }
+        for (const message of importRowWarnings(row)) {
+            report.push({ row: row.row, sheet: row.sheet, level: 'warning', message });
+        }
+    }
+    return report;
+}
+
+async function updateImportProgress(batchId, done, total) {
+    await pool.query(
+        'UPDATE import_batches SET progress_done = $2, progress_total = $3 WHERE id = $1',
+        [batchId, done, total]
+    );
+}
+
+// Write prepared rows for a batch inside one transaction, so a failure part-way
+// leaves nothing behind. Imports for the same source are serialised.
+async function writeImportBatch(batchId, source, rows, options = {}) {
+    const importer = IMPORTERS[source];
+    const summary = summariseImportRows(rows);
+    const report = buildImportReport(rows);
+    let counts;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`import:${source}`]);
+
+        counts = await importer.write(client, rows, batchId, (done, total) => updateImportProgress(batchId, done, total), options);
+        await importer.afterWrite(client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await finishImportBatch(batchId, {
+        status: 'completed',
+        totalRows: summary.totalRows,
+        insertedRows: counts.inserted,
+        updatedRows: counts.updated,
+        skippedRows: summary.unchanged,
+        withdrawnRows: counts.withdrawn || 0,
+        conflictRows: summary.conflict,
+        errorRows: summary.errorRows,
+        errorReport: report
+    });
+
+    // Per-line diff of what the import changed, for the upload response
+    const changes = rows
+        .filter(row => row.action === 'update' && row.changes)
+        .map(row => ({ row: row.row, sheet: row.sheet, id: row.existingId, changes: row.changes }));
+
+    return { batchId, counts, summary, report, changes };
+}
+
+// Load and write the rows for a batch, recording the batch as failed if
+// anything goes wrong. loadRows returns the classified rows; options are passed
+// to the source's writer (user, fullExport).
+async function runImport(batchId, source, loadRows, options = {}) {
+    let rows = [];
+    try {
+        rows = await loadRows();
+        const result = await writeImportBatch(batchId, source, rows, options);
+        if (options.actor) {
+            await recordAudit(options.actor, 'import', {
+                targetType: 'import_batch',
+                targetId: batchId,
+                after: result.counts,
+                details: { source, fileName: options.fileName, errorRows: result.summary.errorRows }
+            });
+        }
+        return result;
+    } catch (error) {
+        if (options.actor) {
+            await recordAudit(options.actor, 'import.failed', {
+                targetType: 'import_batch',
+                targetId: batchId,
+                details: { source, fileName: options.fileName, error: error.message }
+            });
+        }
+        await finishImportBatch(batchId, {
+            status: 'failed',
+            totalRows: rows.length,
+            errorRows: rows.filter(row => row.errors.length > 0).length,
+            errorMessage: error.message,
+            errorReport: buildImportReport(rows)
+        }).catch(err => {
+            console.error('Error recording failed import:', err);
+        });
+        throw error;
+    }
+}
+
+// Response body shared by direct uploads and committed previews
+function importResponse(fileName, result) {
+    return {
+        success: true,
+        message: `Successfully processed ${fileName}`,
+        batchId: result.batchId,
+        newRecords: result.counts.inserted,
+        duplicates: result.summary.unchanged,
+        updated: result.counts.updated,
+        unchanged: result.summary.unchanged,
+        conflicts: result.summary.conflict,
+        changedLines: result.changes.slice(0, 100),
+        withdrawn: result.counts.withdrawn || 0,
+        errors: result.summary.errorRows,
+        warnings: result.summary.warningRows,
+        errorReport: result.report.slice(0, 100),
+        errorReportUrl: result.report.length > 0 ? `/api/imports/${result.batchId}/report` : null
+    };
+}
+
+// Response body for an import handed to the background
+function backgroundImportResponse(fileName, batchId) {
+    return {
+        success: true,
+        background: true,
+        message: `Importing ${fileName} in the background`,
+        batchId,
+        progressUrl: `/api/imports/${batchId}/progress`
+    };
+}
+
+function removeUploadedFile(filePath) {
+    fs.unlink(filePath, error => {
+        if (error) console.error('Error deleting file:', error);
+    });
+}
+
+// How long a preview can be confirmed for, and how many rows it returns inline
+const PREVIEW_TTL = 60 * 60 * 1000; // 1 hour
+const PREVIEW_ROW_LIMIT = 500;
+
+// Rows worth showing in a preview: problems and overwrites
+function previewRows(rows, filter = 'issues') {
+    if (filter === 'all') return rows;
+    if (filter === 'errors') return rows.filter(row => row.errors.length > 0);
+    if (filter === 'updates') return rows.filter(row => row.action === 'update');
+    if (filter === 'conflicts') return rows.filter(row => row.action === 'conflict');
+    return rows.filter(row => row.errors.length > 0 || importRowWarnings(row).length > 0 || row.action === 'update' || row.action === 'conflict');
+}
+
+async function createImportPreview(source, filePath, fileName, profileId, sheetNames, user, options = {}) {
+    const { rows, detection, format, sheets } = await analyseImportFile(source, filePath, fileName, profileId, sheetNames);
+    const importer = IMPORTERS[source];
+    const summary = summariseImportRows(rows);
+    if (importer.summarise) {
+        Object.assign(summary, await importer.summarise(rows, options));
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+
+    await pool.query('DELETE FROM import_previews WHERE expires_at <= CURRENT_TIMESTAMP');
+    await pool.query(
+        `INSERT INTO import_previews (token, source, file_name, user_id, rows, summary, options, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [token, source, fileName, user.id, JSON.stringify(rows), summary, options, new Date(Date.now() + PREVIEW_TTL)]
+    );
+
+    const columnMapping = {};
+    for (const [field, index] of Object.entries(detection.columnMap)) {
+        columnMapping[field] = detection.headers[index];
+    }
+
+    const shown = previewRows(rows);
+    return {
+        previewId: token,
+        source,
+        fileName,
+        format,
+        sheets,
+        headerRow: detection.headerIndex + 1,
+        columnMapping,
+        summary,
+        rows: shown.slice(0, PREVIEW_ROW_LIMIT),
+        totalShown: shown.length,
+        expiresAt: new Date(Date.now() + PREVIEW_TTL)
+    };
+}
+
+// Load a preview the user may act on (their own, or any preview for admins)
+async function loadImportPreview(token, user) {
+    const result = await pool.query(
+        'SELECT * FROM import_previews WHERE token = $1 AND expires_at > CURRENT_TIMESTAMP',
+        [token]
+    );
+    const preview = result.rows[0];
+
+    if (!preview || (preview.user_id !== user.id && user.role !== 'admin')) {
+        const error = new Error('Preview not found or expired');
+        error.status = 404;
+        throw error;
+    }
+    if (preview.batch_id) {
+        const error = new Error(`Preview was already imported as batch ${preview.batch_id}`);
+        error.status = 409;
+        throw error;
+    }
+    return preview;
+}
+
+// What a preview showed would happen to a row: its action and the field
+// changes or conflicts it would write or report
+function previewedOutcome(row) {
+    return { action: row.action, changes: row.changes || null, conflicts: row.conflicts || null };
+}
+
+// Commit exactly the previewed rows. Stored data is re-checked first, and the
+// commit is refused if anything the preview reported would now be different.
+// With background set, returns once the batch is created and writes it afterwards.
+async function commitImportPreview(token, user, background, actor) {
+    const preview = await loadImportPreview(token, user);
+    const importer = IMPORTERS[preview.source];
+    const rows = preview.rows;
+
+    const previewed = rows.map(previewedOutcome);
+    await importer.classify(rows);
+
+    if (rows.some((row, i) => !isDeepStrictEqual(previewedOutcome(row), previewed[i]))) {
+        const error = new Error('Stored data has changed since this preview was made. Please preview the file again.');
+        error.status = 409;
+        throw error;
+    }
+
+    // Claim the preview first so it can't be committed twice
+    const batchId = await createImportBatch(preview.source, preview.file_name, user);
+    await pool.query('UPDATE import_previews SET batch_id = $1 WHERE token = $2', [batchId, token]);
+
+    const options = { ...(preview.options || {}), user, actor, fileName: preview.file_name };
+    const job = runImport(batchId, preview.source, async () => rows, options)
+        .then(async result => {
+            await pool.query(`UPDATE import_previews SET rows = '[]' WHERE token = $1`, [token]);
+            return result;
+        })
+        .catch(async error => {
+            // Let the user try again with the same preview
+            await pool.query('UPDATE import_previews SET batch_id = NULL WHERE token = $1', [token]);
+            throw error;
+        });
+
+    if (background) {
+        job.catch(error => console.error(`Import ${batchId} failed:`, error));
+        return { fileName: preview.file_name, batchId };
+    }
+
+    return { fileName: preview.file_name, batchId, result: await job };
+}
+
+function csvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const EXCLUSION_TYPES = ['code', 'pattern'];
+
+// Text to match literally inside a LIKE pattern: %, _ and the backslash that
+// escapes them would otherwise be read as pattern syntax
+function escapeLike(text) {
+    return String(text).replace(/[\\%_]/g, '\\$&');
+}
+
+// An exclusion pattern as an ILIKE pattern: * is its only wildcard, so any %, _
+// or backslash in the pattern matches itself
+function exclusionPatternSql(valueColumn) {
+    return `REPLACE(REPLACE(REPLACE(REPLACE(${valueColumn}, '\\', '\\\\'), '%', '\\%'), '_', '\\_'), '*', '%')`;
+}
+
+// SQL condition that is true when a row matches an active exclusion.
+// codeColumn/nameColumn are the customer code and name columns of the outer query.
+function exclusionMatchSql(codeColumn, nameColumn) {
+    return `EXISTS (
+        SELECT 1 FROM customer_exclusions ex
+        WHERE (ex.expires_at IS NULL OR ex.expires_at > CURRENT_TIMESTAMP)
+        AND (
+            (ex.match_type = 'code' AND ex.value = ${codeColumn})
+            OR (ex.match_type = 'pattern' AND ${nameColumn} ILIKE ${exclusionPatternSql('ex.value')})
+        )
+    )`;
+}
+
+async function runMigrateCommand(args) {
+    const action = args[0] || 'status';
+    if (action === 'up') {
+        const ran = await runMigrations();
+        console.log(ran.length > 0 ? `Applied ${ran.length} migration(s)` : 'Database is up to date');
+    } else if (action === 'down') {
+        const toIndex = args.indexOf('--to');
+        let target;
+        if (toIndex !== -1) {
+            target = parseInt(args[toIndex + 1], 10);
+            if (!Number.isInteger(target) || target < 0) {
+                throw new Error('--to needs a migration version, or 0 to roll back everything');
+            }
+        }
+        const rolledBack = await rollbackMigrations(target);
+        console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else if (action === 'status') {
+        for (const migration of await migrationStatus()) {
+            const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+            const note = migration.reversible ? '' : ' (irreversible)';
+            console.log(`${String(migration.version).padStart(4)}  ${migration.name}${note}  ${state}`);
+        }
+    } else {
+        throw new Error(`Unknown migrate command "${action}". Use status, up or down [--to N].`);
+    }
+}
+
+if (migrateCommand) {
+    runMigrateCommand(process.argv.slice(3))
+        .then(() => pool.end())
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+} else {
+    // Initialize database on startup, then start watching the import inbox
+    // and running scheduled reports
+    initializeDatabase().then(() => {
+        startInboxWatcher();
+        startReportScheduler();
+    });
+}
+
+// Session helpers
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[name] = value;
+        }
+    }
+    return cookies;
+}
+
+// Session token from the cookie set by /api/login, or an "Authorization: Bearer" header for scripts
+function getSessionToken(req) {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        return authHeader.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function setSessionCookie(res, token, maxAge) {
+    const parts = [
+        `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${Math.floor(maxAge / 1000)}`
+    ];
+    if (process.env.NODE_ENV === 'production') {
+        parts.push('Secure');
+    }
+    res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+// Require a valid, unexpired session and attach the user to req.user
+async function requireAuth(req, res, next) {
+    try {
+        const token = getSessionToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const result = await pool.query(
+            `SELECT s.id AS session_id, s.expires_at, u.id, u.username, u.email, u.role, u.must_change_password
+             FROM sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP AND u.active`,
+            [hashToken(token)]
+        );
+
+        if (result.rows.length === 0) {
+            clearSessionCookie(res);
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+
+        const row = result.rows[0];
+        req.sessionId = row.session_id;
+        req.sessionExpiresAt = row.expires_at;
+        req.user = {
+            id: row.id,
+            username: row.username,
+            email: row.email,
+            role: row.role,
+            mustChangePassword: row.must_change_password
+        };
+        next();
+    } catch (error) {
+        console.error('Session check error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Require at least the given role (viewer < editor < admin)
+function requireRole(minimumRole) {
+    const minimumLevel = ROLES.indexOf(minimumRole);
+    return (req, res, next) => {
+        const level = req.user ? ROLES.indexOf(req.user.role) : -1;
+        if (level < minimumLevel) {
+            return res.status(403).json({ error: `Access denied. ${minimumRole} privileges required.` });
+        }
+        next();
+    };
+}
+
+// Audit trail of logins, imports and destructive or administrative changes.
+// Who did it comes from auditActor; what changed goes in before/after.
+function auditActor(req, user = req.user) {
+    return {
+        userId: user ? user.id : null,
+        username: user ? user.username : null,
+        ip: req.ip
+    };
+}
+
+// Audit entries are written after the change has happened, so a failure here
+// is logged rather than reported as a failure of the change itself
+async function recordAudit(actor, action, entry = {}) {
+    try {
+        await pool.query(
+            `INSERT INTO audit_log (user_id, username, ip_address, action, target_type, target_id, before_value, after_value, details)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [
+                actor.userId, actor.username, actor.ip, action,
+                entry.targetType || null,
+                entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+                entry.before === undefined ? null : JSON.stringify(entry.before),
+                entry.after === undefined ? null : JSON.stringify(entry.after),
+                entry.details === undefined ? null : JSON.stringify(entry.details)
+            ]
+        );
+    } catch (error) {
+        console.error(`Error recording audit entry for ${action}:`, error);
+    }
+}
+
+function lockedMessage(lockedUntil) {
+    const minutes = Math.max(Math.ceil((new Date(lockedUntil) - Date.now()) / 60000), 1);
+    return `Too many failed login attempts. This account is locked; try again in ${minutes} minute${minutes !== 1 ? 's' : ''} or ask an administrator to unlock it.`;
+}
+
+// Count a wrong password. Returns the lock expiry when this attempt locks the
+// account, otherwise null. Attempts start again from zero once a lock expires.
+async function recordFailedLogin(user) {
+    const result = await pool.query(
+        `UPDATE users SET
+            failed_login_attempts = CASE WHEN locked_until IS NOT NULL THEN 1 ELSE failed_login_attempts + 1 END,
+            locked_until = NULL
+         WHERE id = $1 RETURNING failed_login_attempts`,
+        [user.id]
+    );
+    if (result.rows[0].failed_login_attempts < MAX_FAILED_LOGINS) {
+        return null;
+    }
+
+    const locked = await pool.query(
+        `UPDATE users SET locked_until = CURRENT_TIMESTAMP + make_interval(mins => $2)
+         WHERE id = $1 RETURNING locked_until`,
+        [user.id, LOCKOUT_MINUTES]
+    );
+    return locked.rows[0].locked_until;
+}
+
+// Password rules for new accounts, admin resets and self-service changes.
+// Returns the rules the password breaks (empty when it's acceptable).
+function validatePassword(password, username) {
+    const problems = [];
+    const value = String(password || '');
+    if (value.length < PASSWORD_MIN_LENGTH) {
+        problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) {
+        problems.push('Password must contain both letters and numbers');
+    }
+    if (username && value.toLowerCase().includes(String(username).toLowerCase())) {
+        problems.push('Password must not contain the username');
+    }
+    if (value === DEFAULT_ADMIN_PASSWORD) {
+        problems.push('Password must not be the default password');
+    }
+    return problems;
+}
+
+// Login endpoint
+app.post('/api/login', async (req, res) => {
+    try {
+        const { username, password, remember } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+        
+        const result = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+        
+        if (result.rows.length === 0) {
+            await recordAudit({ userId: null, username, ip: req.ip }, 'login.failed', { details: { reason: 'unknown user' } });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        
+        let user = result.rows[0];
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            await recordAudit(auditActor(req, user), 'login.failed', { targetType: 'user', targetId: user.id, details: { reason: 'locked' } });
+            return res.status(423).json({ error: lockedMessage(user.locked_until), lockedUntil: user.locked_until });
+        }
+
+        const passwordMatch = await bcrypt.compare(password, user.password);
+        
+        if (!passwordMatch) {
+            const locked = await recordFailedLogin(user);
+            await recordAudit(auditActor(req, user), locked ? 'login.locked' : 'login.failed', {
+                targetType: 'user',
+                targetId: user.id,
+                details: { reason: 'wrong password' }
+            });
+            if (locked) {
+                return res.status(423).json({ error: lockedMessage(locked), lockedUntil: locked });
+            }
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        if (!user.active) {
+            await recordAudit(auditActor(req, user), 'login.failed', { targetType: 'user', targetId: user.id, details: { reason: 'disabled' } });
+            return res.status(403).json({ error: 'This account has been disabled. Ask an administrator to re-enable it.' });
+        }
+
+        // Anyone still on the seeded password has to pick a new one
+        const updated = await pool.query(
+            `UPDATE users SET failed_login_attempts = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP,
+                must_change_password = must_change_password OR $2
+             WHERE id = $1 RETURNING *`,
+            [user.id, password === DEFAULT_ADMIN_PASSWORD]
+        );
+        user = updated.rows[0];
+
+        // Drop this user's expired sessions before issuing a new one
+        await pool.query('DELETE FROM sessions WHERE user_id = $1 AND expires_at <= CURRENT_TIMESTAMP', [user.id]);
+
+        const ttl = remember ? SESSION_TTL_REMEMBER : SESSION_TTL;
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + ttl);
+
+        await pool.query(
+            'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+            [hashToken(token), user.id, expiresAt]
+        );
+
+        setSessionCookie(res, token, ttl);
+        await recordAudit(auditActor(req, user), 'login', { targetType: 'user', targetId: user.id, details: { remember: !!remember } });
+        
+        res.json({ 
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                role: user.role
+            },
+            mustChangePassword: user.must_change_password,
+            token,
+            expiresAt
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Logout endpoint - always succeeds, even without a valid session
+app.post('/api/logout', async (req, res) => {
+    try {
+        const token = getSessionToken(req);
+        if (token) {
+            const ended = await pool.query(
+                `DELETE FROM sessions s USING users u
+                 WHERE s.token_hash = $1 AND u.id = s.user_id
+                 RETURNING u.id, u.username`,
+                [hashToken(token)]
+            );
+            if (ended.rows.length > 0) {
+                await recordAudit(auditActor(req, ended.rows[0]), 'logout', { targetType: 'user', targetId: ended.rows[0].id });
+            }
+        }
+        clearSessionCookie(res);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Every API route below this line requires a valid session
+app.use('/api', requireAuth);
+
+// Until a required password change is done, only the session check and the
+// change itself are allowed
+app.use('/api', (req, res, next) => {
+    if (req.user.mustChangePassword && !['/session', '/account/password'].includes(req.path)) {
+        return res.status(403).json({ error: 'You must change your password before continuing', passwordChangeRequired: true });
+    }
+    next();
+});
+
+// Every :id in a route is a row id. It is parsed here once, so routes and audit
+// entries get a number and anything else is a 400 rather than a database error.
+app.param('id', (req, res, next, value) => {
+    const id = Number(value);
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(id)) {
+        return res.status(400).json({ error: `Invalid id "${value}"` });
+    }
+    req.params.id = id;
+    next();
+});
+
+// Current session
+app.get('/api/session', (req, res) => {
+    res.json({
+        user: req.user,
+        mustChangePassword: req.user.mustChangePassword,
+        expiresAt: req.sessionExpiresAt
+    });
+});
+
+// Self-service password change. Other sessions of the account are signed out.
+app.post('/api/account/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password are required' });
+        }
+
+        const result = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+        if (!(await bcrypt.compare(currentPassword, result.rows[0].password))) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        const problems = validatePassword(newPassword, req.user.username);
+        if (newPassword === currentPassword) {
+            problems.push('New password must be different from the current one');
+        }
+        if (problems.length > 0) {
+            return res.status(400).json({ error: problems.join('; '), details: problems });
+        }
+
+        await pool.query(
+            `UPDATE users SET password = $1, must_change_password = false, password_changed_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [await bcrypt.hash(newPassword, 10), req.user.id]
+        );
+        await pool.query('DELETE FROM sessions WHERE user_id = $1 AND id <> $2', [req.user.id, req.sessionId]);
+        await recordAudit(auditActor(req), 'account.password', { targetType: 'user', targetId: req.user.id, details: { forced: req.user.mustChangePassword } });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Uploads larger than this are always imported in the background
+const BACKGROUND_IMPORT_SIZE = 5 * 1024 * 1024; // 5MB
+
+// Sheets chosen for an upload, sent as one "sheets" field per sheet
+function requestedSheets(req) {
+    return [].concat(req.body.sheets || []).filter(name => name !== '');
+}
+
+// Shared handler for direct (non-preview) uploads. The import runs as a
+// background job when the client sends background=true or the file is large;
+// progress is then polled from /api/imports/:id/progress.
+function uploadHandler(source) {
+    return async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const file = req.file;
+        const background = req.body.background === 'true' || file.size > BACKGROUND_IMPORT_SIZE;
+
+        try {
+            const batchId = await createImportBatch(source, file.originalname, req.user);
+            const options = {
+                user: req.user,
+                fullExport: req.body.fullExport === 'true',
+                actor: auditActor(req),
+                fileName: file.originalname
+            };
+            const job = runImport(batchId, source, async () => {
+                const { rows } = await analyseImportFile(source, file.path, file.originalname, req.body.profileId, requestedSheets(req));
+                return rows;
+            }, options).finally(() => removeUploadedFile(file.path));
+
+            if (background) {
+                job.catch(error => console.error(`Import ${batchId} failed:`, error));
+                return res.status(202).json(backgroundImportResponse(file.originalname, batchId));
+            }
+
+            res.json(importResponse(file.originalname, await job));
+        } catch (error) {
+            console.error(`${source} upload error:`, error);
+
+            res.status(error.status || 500).json({
+                error: error.status ? error.message : 'Failed to process file',
+                details: error.message,
+                ...(error.details || {})
+            });
+        }
+    };
+}
+
+// Shared handler for previews: parse and validate only, nothing is written
+function previewHandler(source) {
+    return async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        try {
+            const options = { fullExport: req.body.fullExport === 'true' };
+            const preview = await createImportPreview(source, req.file.path, req.file.originalname, req.body.profileId, requestedSheets(req), req.user, options);
+            fs.unlinkSync(req.file.path);
+            res.json(preview);
+        } catch (error) {
+            console.error(`${source} preview error:`, error);
+            if (req.file && req.file.path) {
+                try {
+                    fs.unlinkSync(req.file.path);
+                } catch (unlinkError) {
+                    console.error('Error deleting file:', unlinkError);
+                }
+            }
+            res.status(error.status || 500).json({ error: error.message, ...(error.details || {}) });
+        }
+    };
+}
+
+// Format and sheets of a file before it is imported, with the sources whose
+// required columns each sheet has, so the user can choose which sheets to import
+app.post('/api/imports/inspect', requireRole('editor'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const file = await openImportFile(req.file.path);
+        const { autoDetect } = await getSettings();
+
+        const sheets = [];
+        for (const sheet of file.sheets) {
+            const headRows = await collectRowValues(sheet.rows(0, HEADER_SCAN_ROWS - 1));
+            sheets.push({
+                name: sheet.name,
+                rows: await countSheetRows(sheet),
+                sources: Object.keys(IMPORT_COLUMNS).filter(source => detectColumns(headRows, source, null, autoDetect).missing.length === 0)
+            });
+        }
+
+        res.json({
+            fileName: req.file.originalname,
+            format: file.format,
+            encoding: file.encoding,
+            delimiter: file.delimiter,
+            sheets
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    } finally {
+        removeUploadedFile(req.file.path);
+    }
+});
+
+// GAZELLE UPLOAD - columns mapped by header name
+app.post('/api/gazelle/upload', requireRole('editor'), upload.single('gazelleFile'), uploadHandler('gazelle'));
+app.post('/api/gazelle/preview', requireRole('editor'), upload.single('gazelleFile'), previewHandler('gazelle'));
+
+// Test parse endpoint for debugging
+app.post('/api/test-gazelle-parse', requireRole('editor'), upload.single('testFile'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const file = await openImportFile(req.file.path);
+        const sheet = file.sheets[0];
+        
+        // Get raw data
+        const rawData = sheet ? await collectRowValues(sheet.rows(0)) : [];
+
+        const profile = await loadImportProfile(req.body.profileId, 'gazelle');
+        const detection = detectColumns(rawData, 'gazelle', profile);
+        const dataRows = rawData.slice(detection.headerIndex + 1);
+
+        // Show which header each field was matched to
+        const columnMapping = {};
+        for (const [field, index] of Object.entries(detection.columnMap)) {
+            columnMapping[field] = detection.headers[index];
+        }
+        
+        const parsedSample = dataRows.slice(0, 5).map(row => mapRow(row, detection.columnMap));
+
+        fs.unlinkSync(req.file.path);
+
+        res.json({
+            format: file.format,
+            sheetName: sheet ? sheet.name : null,
+            rawRowCount: rawData.length,
+            headerRow: detection.headerIndex + 1,
+            headers: detection.headers,
+            columnMapping,
+            missingColumns: detection.missing,
+            firstRawRows: rawData.slice(0, 5),
+            method2Count: dataRows.length,
+            method2Sample: parsedSample
+        });
+
+    } catch (error) {
+        if (req.file && req.file.path) {
+            fs.unlinkSync(req.file.path);
+        }
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Record lists: search, filters, sorting and keyset pagination for the Gazelle
+// and Booksonix tables. Each source lists the columns it can be sorted by and
+// adds its own filter conditions; queryRecords does the rest.
+const GAZELLE_SEARCH_VECTOR = "to_tsvector('simple', COALESCE(title, '') || ' ' || COALESCE(customer_name, '') || ' ' || COALESCE(publisher, ''))";
+const BOOKSONIX_SEARCH_VECTOR = "to_tsvector('simple', COALESCE(title, '') || ' ' || COALESCE(publisher, '') || ' ' || COALESCE(isbn, '') || ' ' || COALESCE(sku, ''))";
+
+const RECORD_SOURCES = {
+    gazelle: {
+        from: 'sales_catalogue',
+        searchVector: GAZELLE_SEARCH_VECTOR,
+        sortColumns: ['order_date', 'upload_date', 'customer_name', 'customer', 'customer_number', 'invoice', 'title',
+            'publisher', 'book_ean', 'quantity', 'unit_price', 'total_amount', 'city', 'country', 'line_type'],
+        defaultSort: 'upload_date:desc',
+        filters: (query, params, conditions) => {
+            for (const [param, operator] of [['startDate', '>='], ['endDate', '<=']]) {
+                if (!query[param]) continue;
+                if (isNaN(new Date(query[param]))) {
+                    throw recordQueryError(`${param} must be a valid date`);
+                }
+                params.push(query[param]);
+                conditions.push(`order_date ${operator} $${params.length}::date`);
+            }
+            if (query.country) {
+                // Accept either the stored value or the name for an ISO code
+                params.push([query.country, countryName(query.country)].map(value => value.trim().toLowerCase()));
+                conditions.push(`LOWER(TRIM(country)) = ANY($${params.length})`);
+            }
+            if (query.customer) {
+                params.push(query.customer.trim().toLowerCase());
+                conditions.push(`(LOWER(customer_name) = $${params.length} OR LOWER(customer) = $${params.length} OR LOWER(customer_number) = $${params.length})`);
+            }
+            if (query.publisher) {
+                params.push(query.publisher.trim().toLowerCase());
+                conditions.push(`(LOWER(catalogue_publisher) = $${params.length} OR LOWER(publisher) = $${params.length})`);
+            }
+            if (query.ean) {
+                params.push(normaliseIsbn(query.ean) || query.ean.replace(/[-\s]/g, ''));
+                conditions.push(`(ean13 = $${params.length} OR book_ean = $${params.length})`);
+            }
+            if (query.lineType) {
+                if (!['sale', 'return'].includes(query.lineType)) {
+                    throw recordQueryError('lineType must be sale or return');
+                }
+                params.push(query.lineType);
+                conditions.push(`line_type = $${params.length}`);
+            }
+        }
+    },
+    booksonix: {
+        from: 'booksonix',
+        searchVector: BOOKSONIX_SEARCH_VECTOR,
+        sortColumns: ['upload_date', 'sku', 'isbn', 'title', 'publisher', 'price', 'withdrawn_at'],
+        defaultSort: 'upload_date:desc',
+        filters: (query, params, conditions) => {
+            // status=active hides withdrawn products, status=withdrawn shows only those
+            if (query.status === 'active') {
+                conditions.push('withdrawn_at IS NULL');
+            } else if (query.status === 'withdrawn') {
+                conditions.push('withdrawn_at IS NOT NULL');
+            }
+            if (query.publisher) {
+                params.push(query.publisher.trim().toLowerCase());
+                conditions.push(`LOWER(publisher) = $${params.length}`);
+            }
+            if (query.ean) {
+                params.push(normaliseIsbn(query.ean) || query.ean.replace(/[-\s]/g, ''));
+                conditions.push(`(ean13 = $${params.length} OR isbn = $${params.length} OR sku = $${params.length})`);
+            }
+        }
+    }
+};
+
+function recordQueryError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Words of the search box as a prefix-matching tsquery ("pen hist" finds
+// "Penguin History"), or null when there's nothing to search for
+function searchQuery(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words.length > 0 ? words.map(word => `${word}:*`).join(' & ') : null;
+}
+
+// sort=order_date:desc,customer_name (asc is the default direction). id is
+// always added last so the order, and therefore every cursor, is stable.
+function parseRecordSort(source, value) {
+    const sort = String(value || source.defaultSort).split(',').filter(Boolean).map(part => {
+        const [column, direction = 'asc'] = part.trim().split(':');
+        if (!source.sortColumns.includes(column)) {
+            throw recordQueryError(`Can't sort by "${column}". Sortable columns: ${source.sortColumns.join(', ')}`);
+        }
+        if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+            throw recordQueryError(`Sort direction for ${column} must be asc or desc`);
+        }
+        return { column, direction: direction.toLowerCase() };
+    });
+    return [...sort.filter(key => key.column !== 'id'), { column: 'id', direction: 'desc' }];
+}
+
+// A cursor holds the sort values of the last row on a page, as text so
+// timestamps keep their full precision
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (error) {
+        values = null;
+    }
+    if (!Array.isArray(values) || values.length !== sort.length) {
+        throw recordQueryError('Invalid cursor; it must come from the same search and sort');
+    }
+    return values;
+}
+
+// Rows after the cursor in the sort order. NULLs sort last in both directions,
+// so a NULL is after any value and nothing but another NULL is after a NULL.
+function keysetCondition(sort, values, params) {
+    const alternatives = sort.map((key, i) => {
+        const equal = sort.slice(0, i).map((previous, j) => {
+            if (values[j] === null) return `${previous.column} IS NULL`;
+            params.push(values[j]);
+            return `${previous.column} = $${params.length}`;
+        });
+        if (values[i] === null) return null;
+        params.push(values[i]);
+        const after = `(${key.column} ${key.direction === 'asc' ? '>' : '<'} $${params.length} OR ${key.column} IS NULL)`;
+        return [...equal, after].join(' AND ');
+    }).filter(Boolean);
+    return alternatives.length > 0 ? `(${alternatives.map(condition => `(${condition})`).join(' OR ')})` : 'false';
+}
+
+// One page of records for the query string. Pages follow nextCursor; offset
+// (or page) is still accepted for callers that jump to a page number.
+async function queryRecords(sourceName, query) {
+    const source = RECORD_SOURCES[sourceName];
+    const sort = parseRecordSort(source, query.sort);
+    const limit = await pageSize({ query });
+
+    const params = [];
+    const conditions = [];
+    const search = searchQuery(query.search);
+    if (search) {
+        params.push(search);
+        conditions.push(`${source.searchVector} @@ to_tsquery('simple', $${params.length})`);
+    }
+    source.filters(query, params, conditions);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await queryWithTimeout(`SELECT COUNT(*) FROM ${source.from} ${where}`, params);
+
+    const pageParams = [...params];
+    const pageConditions = [...conditions];
+    if (query.cursor) {
+        pageConditions.push(keysetCondition(sort, decodeCursor(query.cursor, sort), pageParams));
+    }
+    const offset = query.cursor ? 0 : Math.max(parseInt(query.offset) || ((parseInt(query.page) || 1) - 1) * limit, 0);
+    pageParams.push(limit + 1, offset);
+
+    const result = await queryWithTimeout(
+        `SELECT *, json_build_array(${sort.map(key => `${key.column}::text`).join(', ')}) AS sort_key
+         FROM ${source.from}
+         ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+         ORDER BY ${sort.map(key => `${key.column} ${key.direction.toUpperCase()} NULLS LAST`).join(', ')}
+         LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+        pageParams
+    );
+
+    // The extra row only tells us whether there's another page
+    const rows = result.rows.slice(0, limit);
+    const hasMore = result.rows.length > limit;
+    const records = rows.map(({ sort_key, ...record }) => record);
+
+    return {
+        records,
+        totalRecords: parseInt(countResult.rows[0].count),
+        nextCursor: hasMore ? encodeCursor(rows[rows.length - 1].sort_key) : null,
+        sort: sort.map(key => `${key.column}:${key.direction}`).join(',')
+    };
+}
+
+// Get Gazelle records. Query: search, startDate, endDate, country, customer,
+// publisher, ean, sort, limit and cursor (see queryRecords)
+app.get('/api/gazelle/records', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await queryRecords('gazelle', req.query));
+    } catch (error) {
+        console.error('Error fetching Gazelle records:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch records' });
+    }
+});
+
+// Get Gazelle statistics. Quantity and revenue are net of returns, which are
+// stored as negative lines; orders count sales invoices only.
+app.get('/api/gazelle/stats', requireRole('viewer'), async (req, res) => {
+    try {
+        const stats = await pool.query(`
+            SELECT 
+                COUNT(*) as total_records,
+                COUNT(DISTINCT order_ref) FILTER (WHERE line_type = 'sale') as unique_orders,
+                SUM(quantity) as total_quantity,
+                SUM(total_amount) as total_revenue,
+                COUNT(*) FILTER (WHERE line_type = 'return') as return_lines,
+                -SUM(quantity) FILTER (WHERE line_type = 'return') as returned_quantity,
+                -SUM(total_amount) FILTER (WHERE line_type = 'return') as returned_value,
+                COUNT(DISTINCT customer_name) as unique_customers,
+                COUNT(DISTINCT title) as unique_titles
+            FROM gazelle_sales
+        `);
+        
+        res.json({
+            totalRecords: parseInt(stats.rows[0].total_records),
+            uniqueOrders: parseInt(stats.rows[0].unique_orders),
+            totalQuantity: parseInt(stats.rows[0].total_quantity) || 0,
+            totalRevenue: parseFloat(stats.rows[0].total_revenue) || 0,
+            returnLines: parseInt(stats.rows[0].return_lines),
+            returnedQuantity: parseInt(stats.rows[0].returned_quantity) || 0,
+            returnedValue: parseFloat(stats.rows[0].returned_value) || 0,
+            uniqueCustomers: parseInt(stats.rows[0].unique_customers),
+            uniqueTitles: parseInt(stats.rows[0].unique_titles)
+        });
+    } catch (error) {
+        console.error('Error fetching stats:', error);
+        res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+});
+
+// Sales analytics: units and revenue over time, top titles/publishers/customers
+// and a territory breakdown, each with the same figures for the previous
+// period of equal length. Publisher and title fall back to the Gazelle values
+// when a sale has no catalogue match. Units and revenue are net of returns.
+const ANALYTICS_GRANULARITIES = { week: '1 week', month: '1 month', quarter: '3 months' };
+const ANALYTICS_PUBLISHER = "COALESCE(NULLIF(TRIM(catalogue_publisher), ''), NULLIF(TRIM(publisher), ''), 'Unknown')";
+const ANALYTICS_TITLE = "COALESCE(NULLIF(TRIM(catalogue_title), ''), NULLIF(TRIM(title), ''), 'Unknown')";
+
+function isoDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// YYYY-MM-DD of a date in server time (pg hands DATE columns back as local midnight)
+function localIsoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Date range from the query (default: the last 12 months) and the range
+// immediately before it
+function analyticsRanges(query) {
+    const end = query.endDate ? new Date(query.endDate) : new Date();
+    const start = query.startDate ? new Date(query.startDate) : new Date(Date.UTC(end.getUTCFullYear() - 1, end.getUTCMonth(), end.getUTCDate() + 1));
+
+    if (isNaN(start) || isNaN(end) || start > end) {
+        const error = new Error('startDate and endDate must be valid dates with startDate before endDate');
+        error.status = 400;
+        throw error;
+    }
+
+    const days = Math.round((end - start) / 86400000) + 1;
+    const previousEnd = new Date(start.getTime() - 86400000);
+    const previousStart = new Date(start.getTime() - days * 86400000);
+
+    return {
+        current: { startDate: isoDate(start), endDate: isoDate(end) },
+        previous: { startDate: isoDate(previousStart), endDate: isoDate(previousEnd) }
+    };
+}
+
+// $1-$4 are the current and previous ranges; publisher and title filters follow
+function analyticsFilters(query, ranges) {
+    const params = [ranges.current.startDate, ranges.current.endDate, ranges.previous.startDate, ranges.previous.endDate];
+    const conditions = ['order_date >= $3', 'order_date <= $2'];
+
+    if (query.publisher) {
+        params.push(query.publisher);
+        conditions.push(`LOWER(${ANALYTICS_PUBLISHER}) = LOWER(TRIM($${params.length}))`);
+    }
+    const titles = [].concat(query.title || []).filter(Boolean);
+    if (titles.length > 0) {
+        params.push(titles);
+        conditions.push(`${ANALYTICS_TITLE} = ANY($${params.length})`);
+    }
+
+    return { params, where: conditions.join(' AND ') };
+}
+
+const ANALYTICS_MEASURES = `
+    COALESCE(SUM(quantity) FILTER (WHERE order_date >= $1), 0) as units,
+    COALESCE(SUM(total_amount) FILTER (WHERE order_date >= $1), 0) as revenue,
+    COALESCE(SUM(quantity) FILTER (WHERE order_date <= $4), 0) as previous_units,
+    COALESCE(SUM(total_amount) FILTER (WHERE order_date <= $4), 0) as previous_revenue`;
+
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+function analyticsMeasures(row) {
+    const units = parseInt(row.units) || 0;
+    const revenue = parseFloat(row.revenue) || 0;
+    const previousUnits = parseInt(row.previous_units) || 0;
+    const previousRevenue = parseFloat(row.previous_revenue) || 0;
+
+    return {
+        units,
+        revenue,
+        previousUnits,
+        previousRevenue,
+        unitsChange: percentChange(units, previousUnits),
+        revenueChange: percentChange(revenue, previousRevenue)
+    };
+}
+
+app.get('/api/analytics/sales', requireRole('viewer'), async (req, res) => {
+    try {
+        const granularity = req.query.granularity || 'month';
+        const step = ANALYTICS_GRANULARITIES[granularity];
+        if (!step) {
+            return res.status(400).json({ error: `granularity must be one of: ${Object.keys(ANALYTICS_GRANULARITIES).join(', ')}` });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+        const ranges = analyticsRanges(req.query);
+        const { params, where } = analyticsFilters(req.query, ranges);
+
+        // Stockists are customers whose net purchases in the range are above zero
+        const stockistCount = range => `(
+            SELECT COUNT(*) FROM (
+                SELECT customer_name FROM sales_catalogue
+                WHERE ${where} AND ${range}
+                GROUP BY customer_name
+                HAVING SUM(quantity) > 0
+            ) stockists
+        )`;
+
+        const totals = await pool.query(
+            `SELECT ${ANALYTICS_MEASURES},
+                COUNT(DISTINCT order_ref) FILTER (WHERE order_date >= $1 AND line_type = 'sale') as orders,
+                COALESCE(-SUM(quantity) FILTER (WHERE order_date >= $1 AND line_type = 'return'), 0) as returned_units,
+                COUNT(DISTINCT ${ANALYTICS_TITLE}) FILTER (WHERE order_date >= $1) as titles,
+                ${stockistCount('order_date >= $1')} as customers,
+                ${stockistCount('order_date <= $4')} as previous_customers
+             FROM sales_catalogue WHERE ${where}`,
+            params
+        );
+
+        // Each period is matched with the period at the same position in the
+        // previous range so the two series line up
+        const series = await pool.query(
+            `WITH current_periods AS (
+                SELECT period, ROW_NUMBER() OVER (ORDER BY period) as position
+                FROM generate_series(date_trunc('${granularity}', $1::date), $2::date, interval '${step}') as period
+             ),
+             previous_periods AS (
+                SELECT period, ROW_NUMBER() OVER (ORDER BY period) as position
+                FROM generate_series(date_trunc('${granularity}', $3::date), $4::date, interval '${step}') as period
+             ),
+             sales AS (
+                SELECT date_trunc('${granularity}', order_date) as period,
+                    SUM(quantity) as units, SUM(total_amount) as revenue,
+                    COUNT(DISTINCT order_ref) FILTER (WHERE line_type = 'sale') as orders
+                FROM sales_catalogue WHERE ${where}
+                GROUP BY 1
+             )
+             SELECT to_char(c.period, 'YYYY-MM-DD') as period,
+                COALESCE(s.units, 0) as units, COALESCE(s.revenue, 0) as revenue, COALESCE(s.orders, 0) as orders,
+                to_char(p.period, 'YYYY-MM-DD') as previous_period,
+                COALESCE(ps.units, 0) as previous_units, COALESCE(ps.revenue, 0) as previous_revenue
+             FROM current_periods c
+             LEFT JOIN sales s ON s.period = c.period
+             LEFT JOIN previous_periods p ON p.position = c.position
+             LEFT JOIN sales ps ON ps.period = p.period
+             ORDER BY c.period`,
+            params
+        );
+
+        const top = (key, extra = '') => pool.query(
+            `SELECT ${key} as name${extra}, ${ANALYTICS_MEASURES}
+             FROM sales_catalogue WHERE ${where}
+             GROUP BY ${key}
+             HAVING SUM(quantity) FILTER (WHERE order_date >= $1) > 0
+             ORDER BY units DESC, revenue DESC
+             LIMIT ${limit}`,
+            params
+        );
+        const topTitles = await top(ANALYTICS_TITLE, `, MIN(${ANALYTICS_PUBLISHER}) as publisher`);
+        const topPublishers = await top(ANALYTICS_PUBLISHER);
+        const topCustomers = await top('customer_name', ', MAX(city) as city, MAX(country) as country');
+
+        const territories = await pool.query(
+            `SELECT UPPER(TRIM(COALESCE(country, ''))) as country, COALESCE(NULLIF(TRIM(city), ''), 'Unknown') as city,
+                COUNT(DISTINCT customer_name) FILTER (WHERE order_date >= $1) as customers,
+                ${ANALYTICS_MEASURES}
+             FROM sales_catalogue WHERE ${where}
+             GROUP BY 1, 2
+             HAVING SUM(quantity) FILTER (WHERE order_date >= $1) > 0`,
+            params
+        );
+
+        const countries = new Map();
+        for (const row of territories.rows) {
+            const country = countryName(row.country);
+            if (!countries.has(country)) {
+                countries.set(country, { country, customers: 0, units: 0, revenue: 0, previousUnits: 0, previousRevenue: 0, cities: [] });
+            }
+            const entry = countries.get(country);
+            const city = { city: row.city, customers: parseInt(row.customers), ...analyticsMeasures(row) };
+            entry.cities.push(city);
+            entry.customers += city.customers;
+            entry.units += city.units;
+            entry.revenue += city.revenue;
+            entry.previousUnits += city.previousUnits;
+            entry.previousRevenue += city.previousRevenue;
+        }
+
+        const total = totals.rows[0];
+        res.json({
+            granularity,
+            range: ranges.current,
+            previousRange: ranges.previous,
+            filters: { publisher: req.query.publisher || null, titles: [].concat(req.query.title || []).filter(Boolean) },
+            totals: {
+                ...analyticsMeasures(total),
+                orders: parseInt(total.orders),
+                returnedUnits: parseInt(total.returned_units),
+                customers: parseInt(total.customers),
+                previousCustomers: parseInt(total.previous_customers),
+                titles: parseInt(total.titles)
+            },
+            series: series.rows.map(row => ({
+                period: row.period,
+                previousPeriod: row.previous_period,
+                orders: parseInt(row.orders),
+                ...analyticsMeasures(row)
+            })),
+            topTitles: topTitles.rows.map(row => ({ title: row.name, publisher: row.publisher, ...analyticsMeasures(row) })),
+            topPublishers: topPublishers.rows.map(row => ({ publisher: row.name, ...analyticsMeasures(row) })),
+            topCustomers: topCustomers.rows.map(row => ({
+                customer: row.name,
+                city: row.city,
+                country: countryName(row.country),
+                ...analyticsMeasures(row)
+            })),
+            territories: [...countries.values()]
+                .map(entry => ({
+                    ...entry,
+                    unitsChange: percentChange(entry.units, entry.previousUnits),
+                    revenueChange: percentChange(entry.revenue, entry.previousRevenue),
+                    cities: entry.cities.sort((a, b) => b.units - a.units)
+                }))
+                .sort((a, b) => b.units - a.units)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Stockist alerts. A stockist of a title (or publisher, or of anything when
+// grouped by customer) is a customer whose net purchases of it are above zero.
+// Dormant stockists have placed no order for it in the last dormant window, new
+// stockists first ordered it in the last period, and falling titles have fewer
+// stockists in the last period than in the one before.
+const ALERT_GROUPS = {
+    title: { key: ANALYTICS_TITLE, label: 'Title' },
+    publisher: { key: ANALYTICS_PUBLISHER, label: 'Publisher' },
+    customer: { key: 'NULL::text', label: null }
+};
+const ALERT_TYPES = ['dormant', 'new'];
+
+function alertDays(value, fallback, name) {
+    if (value === undefined || value === '') return fallback;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+        const error = new Error(`${name} must be a whole number of days between 1 and 3650`);
+        error.status = 400;
+        throw error;
+    }
+    return days;
+}
+
+// Options from the query, with the windows defaulting to the alert settings.
+// $1 is the as-of date and $2 the window in days of the alert being run, which
+// withWindow fills in.
+async function alertOptions(query) {
+    const { alertDormantDays, alertPeriodDays } = await getSettings();
+    const by = query.by || 'title';
+    if (!ALERT_GROUPS[by]) {
+        const error = new Error(`by must be one of: ${Object.keys(ALERT_GROUPS).join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+
+    const asOf = query.asOf ? new Date(query.asOf) : new Date();
+    if (isNaN(asOf)) {
+        const error = new Error('asOf must be a valid date');
+        error.status = 400;
+        throw error;
+    }
+
+    const options = {
+        by,
+        asOf: isoDate(asOf),
+        dormantDays: alertDays(query.days, alertDormantDays, 'days'),
+        periodDays: alertDays(query.periodDays, alertPeriodDays, 'periodDays'),
+        publisher: query.publisher || null,
+        titles: [].concat(query.title || []).filter(Boolean)
+    };
+
+    const params = [options.asOf, null];
+    const conditions = ['order_date <= $1', `NOT ${exclusionMatchSql('customer', 'customer_name')}`];
+    if (options.publisher) {
+        params.push(options.publisher);
+        conditions.push(`LOWER(${ANALYTICS_PUBLISHER}) = LOWER(TRIM($${params.length}))`);
+    }
+    if (options.titles.length > 0) {
+        params.push(options.titles);
+        conditions.push(`${ANALYTICS_TITLE} = ANY($${params.length})`);
+    }
+
+    return { options, params, where: conditions.join(' AND ') };
+}
+
+function withWindow(params, days) {
+    return [params[0], days, ...params.slice(2)];
+}
+
+// Stockists per customer (and title or publisher) matching a HAVING condition,
+// with the customer's current name and place from the directory. Returns the
+// first `limit` (all when null) and how many there are in total.
+async function findStockists({ options, params, where }, days, having, orderBy, limit = null) {
+    const queryParams = withWindow(params, days);
+    if (limit !== null) queryParams.push(limit);
+
+    const result = await pool.query(
+        `WITH stockists AS (
+            SELECT customer, COALESCE(customer_number, '') as customer_number,
+                ${ALERT_GROUPS[options.by].key} as item,
+                MIN(${ANALYTICS_PUBLISHER}) as publisher,
+                MIN(order_date) FILTER (WHERE line_type = 'sale') as first_order,
+                MAX(order_date) FILTER (WHERE line_type = 'sale') as last_order,
+                COUNT(DISTINCT order_ref) FILTER (WHERE line_type = 'sale') as orders,
+                SUM(quantity) as units,
+                MAX(customer_name) as customer_name
+            FROM sales_catalogue
+            WHERE ${where}
+            GROUP BY 1, 2, 3
+            HAVING SUM(quantity) > 0 AND ${having}
+         )
+         SELECT s.customer as customer_code, s.customer_number,
+            COALESCE(c.customer_name, s.customer_name) as customer_name, c.city, c.country,
+            s.item, s.publisher,
+            to_char(s.first_order, 'YYYY-MM-DD') as first_order,
+            to_char(s.last_order, 'YYYY-MM-DD') as last_order,
+            $1::date - s.last_order as days_since,
+            s.orders, s.units,
+            COUNT(*) OVER () as total
+         FROM stockists s
+         LEFT JOIN customers c ON c.customer_code = s.customer AND c.customer_number = s.customer_number
+         ORDER BY ${orderBy}
+         ${limit !== null ? `LIMIT $${queryParams.length}` : ''}`,
+        queryParams
+    );
+
+    const stockists = result.rows.map(row => ({
+        customerCode: row.customer_code,
+        customerNumber: row.customer_number,
+        customer: row.customer_name,
+        city: row.city,
+        country: countryName(row.country),
+        ...(options.by === 'title' ? { title: row.item, publisher: row.publisher } : {}),
+        ...(options.by === 'publisher' ? { publisher: row.item } : {}),
+        firstOrder: row.first_order,
+        lastOrder: row.last_order,
+        daysSince: row.days_since === null ? null : parseInt(row.days_since),
+        orders: parseInt(row.orders),
+        units: parseInt(row.units)
+    }));
+    return { count: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0, stockists };
+}
+
+function findDormantStockists(query, limit) {
+    return findStockists(query, query.options.dormantDays,
+        "MAX(order_date) FILTER (WHERE line_type = 'sale') <= $1::date - $2::integer",
+        's.last_order DESC, customer_name', limit);
+}
+
+function findNewStockists(query, limit) {
+    return findStockists(query, query.options.periodDays,
+        "MIN(order_date) FILTER (WHERE line_type = 'sale') > $1::date - $2::integer",
+        's.first_order DESC, customer_name', limit);
+}
+
+// Titles with fewer stockists in the last period than in the period before
+async function findFallingTitles({ options, params, where }) {
+    const result = await pool.query(
+        `WITH periods AS (
+            SELECT ${ANALYTICS_TITLE} as title, MIN(${ANALYTICS_PUBLISHER}) as publisher,
+                SUM(quantity) FILTER (WHERE order_date > $1::date - $2::integer) as current_units,
+                SUM(quantity) FILTER (WHERE order_date <= $1::date - $2::integer) as previous_units
+            FROM sales_catalogue
+            WHERE ${where} AND order_date > $1::date - 2 * $2::integer
+            GROUP BY 1, customer, COALESCE(customer_number, '')
+         )
+         SELECT title, MIN(publisher) as publisher,
+            COUNT(*) FILTER (WHERE current_units > 0) as stockists,
+            COUNT(*) FILTER (WHERE previous_units > 0) as previous_stockists,
+            COUNT(*) FILTER (WHERE previous_units > 0 AND COALESCE(current_units, 0) <= 0) as lost
+         FROM periods
+         GROUP BY title
+         HAVING COUNT(*) FILTER (WHERE current_units > 0) < COUNT(*) FILTER (WHERE previous_units > 0)
+         ORDER BY COUNT(*) FILTER (WHERE previous_units > 0) - COUNT(*) FILTER (WHERE current_units > 0) DESC, title`,
+        withWindow(params, options.periodDays)
+    );
+
+    return result.rows.map(row => ({
+        title: row.title,
+        publisher: row.publisher,
+        stockists: parseInt(row.stockists),
+        previousStockists: parseInt(row.previous_stockists),
+        lost: parseInt(row.lost),
+        change: percentChange(parseInt(row.stockists), parseInt(row.previous_stockists))
+    }));
+}
+
+function daysBefore(date, days) {
+    return isoDate(new Date(new Date(date).getTime() - days * 86400000));
+}
+
+// Dormant and new stockists and falling titles (up to limit of each)
+app.get('/api/alerts', requireRole('viewer'), async (req, res) => {
+    try {
+        const query = await alertOptions(req.query);
+        const { options } = query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 1000);
+
+        const dormant = await findDormantStockists(query, limit);
+        const newStockists = await findNewStockists(query, limit);
+        const fallingTitles = await findFallingTitles(query);
+
+        res.json({
+            by: options.by,
+            asOf: options.asOf,
+            filters: { publisher: options.publisher, titles: options.titles },
+            dormant: {
+                days: options.dormantDays,
+                noOrdersSince: daysBefore(options.asOf, options.dormantDays),
+                count: dormant.count,
+                stockists: dormant.stockists
+            },
+            newStockists: {
+                days: options.periodDays,
+                since: daysBefore(options.asOf, options.periodDays),
+                count: newStockists.count,
+                stockists: newStockists.stockists
+            },
+            fallingTitles: {
+                days: options.periodDays,
+                period: { startDate: daysBefore(options.asOf, options.periodDays - 1), endDate: options.asOf },
+                previousPeriod: { startDate: daysBefore(options.asOf, 2 * options.periodDays - 1), endDate: daysBefore(options.asOf, options.periodDays) },
+                count: fallingTitles.length,
+                titles: fallingTitles.slice(0, limit)
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Dormant (or ?type=new) stockists as a CSV call list for the sales team
+app.get('/api/alerts/call-list', requireRole('viewer'), async (req, res) => {
+    try {
+        const type = req.query.type || 'dormant';
+        if (!ALERT_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${ALERT_TYPES.join(', ')}` });
+        }
+
+        const query = await alertOptions(req.query);
+        const { options } = query;
+        const { stockists } = type === 'dormant' ? await findDormantStockists(query) : await findNewStockists(query);
+        const label = ALERT_GROUPS[options.by].label;
+
+        const header = ['Customer Code', 'Customer Number', 'Customer', 'City', 'Country'];
+        if (label) header.push(label);
+        if (options.by === 'title') header.push('Publisher');
+        header.push('First Order', 'Last Order', 'Days Since Last Order', 'Orders', 'Net Units');
+
+        const lines = [header.join(',')];
+        for (const stockist of stockists) {
+            const values = [stockist.customerCode, stockist.customerNumber, stockist.customer, stockist.city, stockist.country];
+            if (label) values.push(stockist[options.by]);
+            if (options.by === 'title') values.push(stockist.publisher);
+            values.push(stockist.firstOrder, stockist.lastOrder, stockist.daysSince, stockist.orders, stockist.units);
+            lines.push(values.map(csvValue).join(','));
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${type}_stockists_by_${options.by}_${options.asOf}.csv"`);
+        res.send(lines.join('\n'));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Booksonix upload endpoints
+app.post('/api/booksonix/upload', requireRole('editor'), upload.single('booksonixFile'), uploadHandler('booksonix'));
+app.post('/api/booksonix/preview', requireRole('editor'), upload.single('booksonixFile'), previewHandler('booksonix'));
+
+// Get Booksonix records. Query: search, status, publisher, ean, sort, limit
+// and cursor or page (see queryRecords)
+app.get('/api/booksonix/records', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await queryRecords('booksonix', req.query));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Get Booksonix statistics
+app.get('/api/booksonix/stats', requireRole('viewer'), async (req, res) => {
+    try {
+        const stats = await pool.query(`
+            SELECT 
+                COUNT(*) as total_records,
+                COUNT(DISTINCT sku) as unique_skus,
+                COUNT(DISTINCT isbn) as unique_isbns,
+                COUNT(*) FILTER (WHERE withdrawn_at IS NOT NULL) as withdrawn
+            FROM booksonix
+        `);
+        
+        res.json({
+            totalRecords: parseInt(stats.rows[0].total_records),
+            uniqueSKUs: parseInt(stats.rows[0].unique_skus),
+            uniqueISBNs: parseInt(stats.rows[0].unique_isbns),
+            withdrawnProducts: parseInt(stats.rows[0].withdrawn)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Change timeline for one product, oldest first (field=price for price history only)
+app.get('/api/booksonix/:sku/history', requireRole('viewer'), async (req, res) => {
+    try {
+        const sku = req.params.sku.replace(/-/g, '');
+        const params = [sku];
+        let fieldFilter = '';
+        if (req.query.field) {
+            params.push(req.query.field);
+            fieldFilter = 'AND h.field = $2';
+        }
+
+        const product = await pool.query('SELECT * FROM booksonix WHERE sku = $1', [sku]);
+        const history = await pool.query(
+            `SELECT h.id, h.change_type, h.field, h.old_value, h.new_value, h.changed_at, h.changed_by,
+                h.batch_id, b.file_name
+             FROM booksonix_history h
+             LEFT JOIN import_batches b ON b.id = h.batch_id
+             WHERE h.sku = $1 ${fieldFilter}
+             ORDER BY h.changed_at, h.id`,
+            params
+        );
+
+        if (product.rows.length === 0 && history.rows.length === 0) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        res.json({
+            product: product.rows[0] || null,
+            history: history.rows
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Backup archives: gzipped JSON holding every row of the tables below, in an
+// order that satisfies their foreign keys. 'data' archives leave out users so
+// logins survive a restore; sessions and import previews are never archived.
+// Bump BACKUP_VERSION whenever a table is added, and list the table in
+// BACKUP_TABLE_SINCE so older archives, which lack it, restore it empty.
+const BACKUP_FORMAT = 'antenne-backup';
+const BACKUP_VERSION = 4;
+const BACKUP_TABLE_SINCE = {
+    app_settings: 2,
+    inbox_files: 3,
+    report_definitions: 4
+};
+const BACKUP_USER_TABLES = ['users'];
+const BACKUP_DATA_TABLES = [
+    'import_batches',
+    'import_batch_changes',
+    'inbox_files',
+    'gazelle_sales',
+    'booksonix',
+    'booksonix_history',
+    'customers',
+    'customer_name_mappings',
+    'customer_exclusions',
+    'import_profiles',
+    'report_definitions',
+    'app_settings'
+];
+const BACKUP_MODES = ['full', 'data'];
+// Automatic snapshots kept before the oldest are pruned
+const SNAPSHOT_KEEP = 10;
+
+function backupTables(mode) {
+    return mode === 'data' ? BACKUP_DATA_TABLES : [...BACKUP_USER_TABLES, ...BACKUP_DATA_TABLES];
+}
+
+async function createBackupArchive(mode, db = pool) {
+    const tables = {};
+    const counts = {};
+    for (const table of backupTables(mode)) {
+        const result = await db.query(`SELECT COALESCE(json_agg(t), '[]') AS rows FROM (SELECT * FROM ${table} ORDER BY 1) t`);
+        tables[table] = result.rows[0].rows;
+        counts[table] = tables[table].length;
+    }
+
+    const archive = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        mode,
+        createdAt: new Date().toISOString(),
+        counts,
+        tables
+    };
+
+    return { buffer: zlib.gzipSync(JSON.stringify(archive)), counts };
+}
+
+function backupError(message) {
+    const error = new Error(`Invalid backup: ${message}`);
+    error.status = 400;
+    return error;
+}
+
+// Parse and check an archive against the current schema before anything is
+// deleted. Columns the archive doesn't have get their defaults on restore.
+async function readBackupArchive(buffer, mode) {
+    let archive;
+    try {
+        archive = JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+    } catch (error) {
+        throw backupError('not a gzipped JSON archive');
+    }
+
+    if (!archive || archive.format !== BACKUP_FORMAT || !archive.tables) {
+        throw backupError('not an Antenne backup archive');
+    }
+    if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+        throw backupError(`archive version ${archive.version} is not supported (latest is ${BACKUP_VERSION})`);
+    }
+    if (mode === 'full' && archive.mode !== 'full') {
+        throw backupError('a data-only archive can only be restored in data mode');
+    }
+
+    const tables = backupTables(mode);
+    for (const table of tables) {
+        const rows = archive.tables[table];
+        if (rows === undefined && archive.version < (BACKUP_TABLE_SINCE[table] || 1)) {
+            continue;
+        }
+        if (!Array.isArray(rows)) {
+            throw backupError(`table ${table} is missing`);
+        }
+        if (archive.counts && archive.counts[table] !== undefined && archive.counts[table] !== rows.length) {
+            throw backupError(`table ${table} has ${rows.length} rows but the archive lists ${archive.counts[table]}`);
+        }
+
+        const columns = await pool.query(
+            'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+            [table]
+        );
+        const known = new Set(columns.rows.map(row => row.column_name));
+        const unknown = new Set();
+        for (const row of rows) {
+            for (const column of Object.keys(row)) {
+                if (!known.has(column)) unknown.add(column);
+            }
+        }
+        if (unknown.size > 0) {
+            throw backupError(`table ${table} has columns this version doesn't know: ${[...unknown].join(', ')}`);
+        }
+    }
+
+    if (mode === 'full' && !archive.tables.users.some(user => user.role === 'admin')) {
+        throw backupError('it has no admin user, so nobody could log in after restoring it');
+    }
+
+    return archive;
+}
+
+// Replace the archived tables with the archive's rows in one transaction.
+// A full restore also replaces users and so ends every session.
+async function restoreBackupArchive(archive, mode) {
+    const tables = backupTables(mode);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Report runs aren't backed up and keep their history: deleting (not
+        // truncating) the definitions unlinks them, and runs are linked back
+        // below to any definition that is restored
+        const runLinks = await client.query('SELECT id, definition_id FROM report_runs WHERE definition_id IS NOT NULL');
+        await client.query('DELETE FROM report_definitions');
+        const cleared = (mode === 'full' ? [...tables, 'sessions', 'import_previews'] : [...tables, 'import_previews'])
+            .filter(table => table !== 'report_definitions');
+        await client.query(`TRUNCATE ${cleared.join(', ')}`);
+
+        // Uploads by users who don't exist here lose their user link
+        const userIds = mode === 'data'
+            ? new Set((await client.query('SELECT id FROM users')).rows.map(row => row.id))
+            : null;
+
+        const counts = {};
+        for (const table of tables) {
+            // Tables added after an older archive was made restore empty
+            let rows = archive.tables[table] || [];
+            if (table === 'import_batches' && userIds) {
+                rows = rows.map(row => (userIds.has(row.user_id) ? row : { ...row, user_id: null }));
+            }
+
+            for (let i = 0; i < rows.length; i += IMPORT_CHUNK_SIZE) {
+                const chunk = rows.slice(i, i + IMPORT_CHUNK_SIZE);
+                const columns = [...new Set(chunk.flatMap(row => Object.keys(row)))].map(column => `"${column}"`).join(', ');
+                await client.query(
+                    `INSERT INTO ${table} (${columns})
+                     SELECT ${columns} FROM json_populate_recordset(NULL::${table}, $1)`,
+                    [JSON.stringify(chunk)]
+                );
+            }
+
+            // Move serial sequences past the restored ids
+            const serials = await client.query(
+                `SELECT column_name FROM information_schema.columns
+                 WHERE table_schema = current_schema() AND table_name = $1 AND column_default LIKE 'nextval(%'`,
+                [table]
+            );
+            for (const { column_name: column } of serials.rows) {
+                await client.query(
+                    `SELECT setval(pg_get_serial_sequence('${table}', '${column}'), COALESCE(MAX(${column}), 1), MAX(${column}) IS NOT NULL) FROM ${table}`
+                );
+            }
+            counts[table] = rows.length;
+        }
+
+        // Archives from before sale lines had keys
+        await fillGazelleLineKeys(client);
+
+        await client.query(
+            `UPDATE report_runs r SET definition_id = link.definition_id
+             FROM unnest($1::int[], $2::int[]) AS link(id, definition_id)
+             WHERE r.id = link.id AND EXISTS (SELECT 1 FROM report_definitions d WHERE d.id = link.definition_id)`,
+            [runLinks.rows.map(row => row.id), runLinks.rows.map(row => row.definition_id)]
+        );
+
+        await client.query('COMMIT');
+        settingsCache = null;
+        return counts;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Store an archive in data_snapshots. Automatic snapshots beyond SNAPSHOT_KEEP
+// are pruned, oldest first; manual backups are kept until deleted.
+async function createSnapshot(reason, mode, user, automatic = false) {
+    const { buffer, counts } = await createBackupArchive(mode);
+    const result = await pool.query(
+        `INSERT INTO data_snapshots (reason, mode, row_counts, size_bytes, archive, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, reason, mode, row_counts, size_bytes, created_by, created_at`,
+        [automatic ? `auto: ${reason}` : reason, mode, counts, buffer.length, buffer, user ? user.username : null]
+    );
+
+    if (automatic) {
+        await pool.query(
+            `DELETE FROM data_snapshots WHERE reason LIKE 'auto:%' AND id NOT IN (
+                SELECT id FROM data_snapshots WHERE reason LIKE 'auto:%' ORDER BY created_at DESC, id DESC LIMIT $1
+            )`,
+            [SNAPSHOT_KEEP]
+        );
+    }
+
+    return result.rows[0];
+}
+
+function backupFileName(mode) {
+    return `antenne_${mode}_backup_${new Date().toISOString().replace(/[:.]/g, '-')}.json.gz`;
+}
+
+// Download a full (or ?mode=data) archive of the database
+app.get('/api/export-all', requireRole('admin'), async (req, res) => {
+    try {
+        const mode = req.query.mode || 'full';
+        if (!BACKUP_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of: ${BACKUP_MODES.join(', ')}` });
+        }
+
+        const { buffer, counts } = await createBackupArchive(mode);
+        await recordAudit(auditActor(req), 'backup.export', { details: { mode, counts } });
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="${backupFileName(mode)}"`);
+        res.send(buffer);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Take a backup and keep it on the server
+app.post('/api/backup', requireRole('admin'), async (req, res) => {
+    try {
+        const mode = req.body.mode || 'full';
+        if (!BACKUP_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of: ${BACKUP_MODES.join(', ')}` });
+        }
+
+        const snapshot = await createSnapshot(req.body.reason || 'Manual backup', mode, req.user);
+        await recordAudit(auditActor(req), 'backup.create', { targetType: 'backup', targetId: snapshot.id, details: { mode, reason: snapshot.reason } });
+        res.json({ success: true, snapshot });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/backups', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT id, reason, mode, row_counts, size_bytes, created_by, created_at FROM data_snapshots ORDER BY created_at DESC, id DESC'
+        );
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/backups/:id/download', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT mode, archive, created_at FROM data_snapshots WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Backup not found' });
+        }
+
+        const snapshot = result.rows[0];
+        await recordAudit(auditActor(req), 'backup.download', { targetType: 'backup', targetId: req.params.id, details: { mode: snapshot.mode } });
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="antenne_${snapshot.mode}_backup_${req.params.id}.json.gz"`);
+        res.send(snapshot.archive);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/backups/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM data_snapshots WHERE id = $1 RETURNING id, reason, mode, row_counts, created_by, created_at',
+            [req.params.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Backup not found' });
+        }
+        await recordAudit(auditActor(req), 'backup.delete', { targetType: 'backup', targetId: req.params.id, before: result.rows[0] });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Restore a stored backup, or an uploaded archive (backupFile). mode=data
+// restores everything except users, even from a full archive. The current
+// state is snapshotted first, so a restore can itself be undone.
+async function restoreHandler(req, res, loadArchive, source) {
+    try {
+        const mode = (req.body && req.body.mode) || 'full';
+        if (!BACKUP_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of: ${BACKUP_MODES.join(', ')}` });
+        }
+
+        const buffer = await loadArchive();
+        const archive = await readBackupArchive(buffer, mode);
+        const snapshot = await createSnapshot('before restore', mode, req.user, true);
+        const counts = await restoreBackupArchive(archive, mode);
+        await recordAudit(auditActor(req), 'backup.restore', {
+            targetType: 'backup',
+            targetId: req.params.id,
+            after: counts,
+            details: { mode, source, archiveCreatedAt: archive.createdAt, snapshotId: snapshot.id }
+        });
+
+        res.json({
+            success: true,
+            mode,
+            archiveCreatedAt: archive.createdAt,
+            restored: counts,
+            snapshotId: snapshot.id,
+            loggedOut: mode === 'full'
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+}
+
+const restoreUpload = multer({
+    dest: 'uploads/',
+    limits: { fileSize: 500 * 1024 * 1024 } // 500MB limit
+});
+
+app.post('/api/restore', requireRole('admin'), restoreUpload.single('backupFile'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No backup file uploaded' });
+    }
+    restoreHandler(req, res, () => fs.promises.readFile(req.file.path), req.file.originalname)
+        .finally(() => removeUploadedFile(req.file.path));
+});
+
+app.post('/api/backups/:id/restore', requireRole('admin'), (req, res) => {
+    restoreHandler(req, res, async () => {
+        const result = await pool.query('SELECT archive FROM data_snapshots WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            const error = new Error('Backup not found');
+            error.status = 404;
+            throw error;
+        }
+        return result.rows[0].archive;
+    }, 'stored backup');
+});
+
+// Clear data endpoint
+app.delete('/api/clear-data', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        // Snapshot first; if that fails nothing is deleted
+        const snapshot = await createSnapshot('before clearing sales data', 'data', req.user, true);
+
+        // In one transaction, so a failure can't leave the tables half cleared
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM gazelle_sales');
+        await client.query("DELETE FROM import_batches WHERE source = 'gazelle'");
+        const exclusions = await client.query('DELETE FROM customer_exclusions');
+        await refreshCustomers(client);
+        await client.query('COMMIT');
+
+        await recordAudit(auditActor(req), 'data.clear', {
+            targetType: 'table',
+            targetId: 'gazelle_sales',
+            before: { salesLines: result.rowCount, exclusions: exclusions.rowCount },
+            details: { snapshotId: snapshot.id }
+        });
+        res.json({ 
+            success: true,
+            message: 'All Gazelle records and customer exclusions cleared',
+            deletedCount: result.rowCount,
+            snapshotId: snapshot.id
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Clear Booksonix data
+app.delete('/api/clear-booksonix', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const snapshot = await createSnapshot('before clearing Booksonix data', 'data', req.user, true);
+
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM booksonix');
+        await client.query('DELETE FROM booksonix_history');
+        await client.query("DELETE FROM import_batches WHERE source = 'booksonix'");
+        await client.query('COMMIT');
+
+        await recordAudit(auditActor(req), 'data.clear', {
+            targetType: 'table',
+            targetId: 'booksonix',
+            before: { products: result.rowCount },
+            details: { snapshotId: snapshot.id }
+        });
+        res.json({ 
+            success: true,
+            message: 'All Booksonix records cleared',
+            deletedCount: result.rowCount,
+            snapshotId: snapshot.id
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Customer directory - filterable and paginated
+app.get('/api/customers', requireRole('viewer'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 1000;
+        const offset = (page - 1) * limit;
+
+        const conditions = [];
+        const params = [];
+
+        // Excluded customers are hidden unless explicitly requested
+        if (req.query.includeExcluded !== 'true') {
+            conditions.push(`NOT ${exclusionMatchSql('customer_code', 'customer_name')}`);
+        }
+
+        if (req.query.search) {
+            params.push(`%${escapeLike(req.query.search)}%`);
+            conditions.push(`(customer_name ILIKE $${params.length} OR customer_code ILIKE $${params.length} OR customer_number ILIKE $${params.length})`);
+        }
+        if (req.query.country) {
+            params.push(req.query.country);
+            conditions.push(`country = $${params.length}`);
+        }
+        if (req.query.city) {
+            params.push(req.query.city);
+            conditions.push(`city = $${params.length}`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        // The directory page shows one long list, so it keeps its own default
+        // page size; the dbTimeout setting still applies
+        const result = await queryWithTimeout(
+            `SELECT *, ${exclusionMatchSql('customer_code', 'customer_name')} as excluded
+             FROM customers ${where}
+             ORDER BY customer_name, customer_code
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        const statsResult = await queryWithTimeout(
+            `SELECT
+                COUNT(*) as total_customers,
+                COUNT(DISTINCT country) as total_countries,
+                COUNT(DISTINCT city) as total_cities,
+                COALESCE(SUM(total_orders), 0) as total_orders
+             FROM customers ${where}`,
+            params
+        );
+
+        // Filter options cover the whole directory, not just the current page
+        const countries = await pool.query(
+            "SELECT DISTINCT country FROM customers WHERE country IS NOT NULL AND country <> '' ORDER BY country"
+        );
+        const cities = await pool.query(
+            "SELECT DISTINCT city FROM customers WHERE city IS NOT NULL AND city <> '' ORDER BY city"
+        );
+
+        const stats = statsResult.rows[0];
+        const totalCustomers = parseInt(stats.total_customers);
+
+        res.json({
+            customers: result.rows,
+            stats: {
+                total_customers: totalCustomers,
+                total_countries: parseInt(stats.total_countries),
+                total_cities: parseInt(stats.total_cities),
+                total_orders: parseInt(stats.total_orders)
+            },
+            filters: {
+                countries: countries.rows.map(row => row.country),
+                cities: cities.rows.map(row => row.city)
+            },
+            pagination: {
+                page,
+                limit,
+                totalRecords: totalCustomers,
+                totalPages: Math.ceil(totalCustomers / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching customers:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch customers' });
+    }
+});
+
+// Customer detail - orders and titles for one customer
+app.get('/api/customers/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const customerResult = await pool.query(
+            `SELECT *, ${exclusionMatchSql('customer_code', 'customer_name')} as excluded
+             FROM customers WHERE id = $1`,
+            [req.params.id]
+        );
+
+        if (customerResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        const customer = customerResult.rows[0];
+        const params = [customer.customer_code, customer.customer_number];
+
+        const orders = await pool.query(
+            `SELECT
+                order_ref,
+                MAX(invoice) as invoice,
+                MIN(order_date) as order_date,
+                CASE WHEN bool_and(line_type = 'return') THEN 'return' ELSE 'sale' END as line_type,
+                MAX(original_invoice) as original_invoice,
+                COUNT(*) as lines,
+                SUM(quantity) as total_quantity,
+                SUM(total_amount) as total_amount
+             FROM gazelle_sales
+             WHERE customer = $1 AND COALESCE(customer_number, '') = $2
+             GROUP BY order_ref
+             ORDER BY MIN(order_date) DESC NULLS LAST, order_ref`,
+            params
+        );
+
+        const titles = await pool.query(
+            `SELECT
+                title,
+                MAX(publisher) as publisher,
+                MAX(book_ean) as book_ean,
+                COUNT(DISTINCT order_ref) FILTER (WHERE line_type = 'sale') as total_orders,
+                SUM(quantity) as total_quantity,
+                COALESCE(-SUM(quantity) FILTER (WHERE line_type = 'return'), 0) as returned_quantity,
+                SUM(total_amount) as total_amount,
+                MIN(order_date) FILTER (WHERE line_type = 'sale') as first_order,
+                MAX(order_date) FILTER (WHERE line_type = 'sale') as last_order
+             FROM gazelle_sales
+             WHERE customer = $1 AND COALESCE(customer_number, '') = $2
+             GROUP BY title
+             ORDER BY SUM(quantity) DESC, title`,
+            params
+        );
+
+        res.json({
+            customer,
+            orders: orders.rows,
+            titles: titles.rows
+        });
+    } catch (error) {
+        console.error('Error fetching customer:', error);
+        res.status(500).json({ error: 'Failed to fetch customer' });
+    }
+});
+
+// Update a customer's location - kept across syncs unless the sales data supplies one
+app.put('/api/customers/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const { city, country } = req.body;
+
+        const result = await pool.query(
+            `UPDATE customers c SET city = $1, country = $2, updated_at = CURRENT_TIMESTAMP
+             FROM customers old
+             WHERE c.id = $3 AND old.id = c.id
+             RETURNING c.*, old.city AS old_city, old.country AS old_country`,
+            [city || null, country || null, req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        const { old_city, old_country, ...customer } = result.rows[0];
+        await recordAudit(auditActor(req), 'customer.update', {
+            targetType: 'customer',
+            targetId: customer.id,
+            before: { city: old_city, country: old_country },
+            after: { city: customer.city, country: customer.country }
+        });
+
+        res.json({ success: true, customer });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import profiles
+function validateImportProfile(body) {
+    const { name, source = 'gazelle', header_row, column_map = {} } = body;
+
+    if (!name || !String(name).trim()) {
+        return 'Profile name is required';
+    }
+    if (!IMPORT_COLUMNS[source]) {
+        return `Source must be one of: ${Object.keys(IMPORT_COLUMNS).join(', ')}`;
+    }
+    if (header_row !== undefined && header_row !== null && header_row !== '' &&
+        !(Number.isInteger(Number(header_row)) && Number(header_row) > 0)) {
+        return 'Header row must be a positive whole number';
+    }
+    if (typeof column_map !== 'object' || Array.isArray(column_map)) {
+        return 'column_map must be an object of field: header name';
+    }
+    for (const [field, header] of Object.entries(column_map)) {
+        if (!IMPORT_COLUMNS[source][field]) {
+            return `Unknown ${source} field: ${field}`;
+        }
+        if (typeof header !== 'string') {
+            return `Header name for ${field} must be text`;
+        }
+    }
+    return null;
+}
+
+// Drop blank entries so they fall back to the built-in synonyms
+function cleanColumnMap(columnMap = {}) {
+    const cleaned = {};
+    for (const [field, header] of Object.entries(columnMap)) {
+        if (header.trim()) cleaned[field] = header.trim();
+    }
+    return cleaned;
+}
+
+app.get('/api/import-profiles', requireRole('editor'), async (req, res) => {
+    try {
+        const params = [];
+        let where = '';
+        if (req.query.source) {
+            params.push(req.query.source);
+            where = 'WHERE source = $1';
+        }
+        const result = await pool.query(`SELECT * FROM import_profiles ${where} ORDER BY source, name`, params);
+
+        // Field definitions so the UI can offer every mappable column
+        const fields = {};
+        for (const [source, definitions] of Object.entries(IMPORT_COLUMNS)) {
+            fields[source] = Object.entries(definitions).map(([field, definition]) => ({
+                field,
+                label: definition.label,
+                required: !!definition.required,
+                synonyms: definition.synonyms
+            }));
+        }
+
+        res.json({ profiles: result.rows, fields });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/import-profiles', requireRole('admin'), async (req, res) => {
+    try {
+        const validationError = validateImportProfile(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, source = 'gazelle', header_row, column_map } = req.body;
+        const result = await pool.query(
+            `INSERT INTO import_profiles (name, source, header_row, column_map, created_by)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [String(name).trim(), source, header_row ? parseInt(header_row) : null, cleanColumnMap(column_map), req.user.username]
+        );
+
+        await recordAudit(auditActor(req), 'import_profile.create', { targetType: 'import_profile', targetId: result.rows[0].id, after: result.rows[0] });
+        res.json({ success: true, profile: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A profile with this name already exists' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/import-profiles/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const validationError = validateImportProfile(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, source = 'gazelle', header_row, column_map } = req.body;
+        const before = await pool.query('SELECT * FROM import_profiles WHERE id = $1', [req.params.id]);
+        const result = await pool.query(
+            `UPDATE import_profiles SET name = $1, source = $2, header_row = $3, column_map = $4, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5 RETURNING *`,
+            [String(name).trim(), source, header_row ? parseInt(header_row) : null, cleanColumnMap(column_map), req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Import profile not found' });
+        }
+
+        await recordAudit(auditActor(req), 'import_profile.update', {
+            targetType: 'import_profile',
+            targetId: req.params.id,
+            before: before.rows[0],
+            after: result.rows[0]
+        });
+
+        res.json({ success: true, profile: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A profile with this name already exists' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/import-profiles/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM import_profiles WHERE id = $1 RETURNING *', [req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Import profile not found' });
+        }
+        await recordAudit(auditActor(req), 'import_profile.delete', { targetType: 'import_profile', targetId: req.params.id, before: result.rows[0] });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import batch history
+app.get('/api/imports', requireRole('viewer'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = await pageSize(req);
+        const offset = (page - 1) * limit;
+
+        const conditions = [];
+        const params = [];
+
+        if (req.query.source) {
+            params.push(req.query.source);
+            conditions.push(`source = $${params.length}`);
+        }
+        if (req.query.status) {
+            params.push(req.query.status);
+            conditions.push(`status = $${params.length}`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await queryWithTimeout(
+            `SELECT * FROM import_batches ${where}
+             ORDER BY started_at DESC, id DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+        const countResult = await queryWithTimeout(`SELECT COUNT(*) FROM import_batches ${where}`, params);
+
+        res.json({
+            batches: result.rows,
+            totalRecords: parseInt(countResult.rows[0].count)
+        });
+    } catch (error) {
+        console.error('Error fetching import batches:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch import batches' });
+    }
+});
+
+// One import batch and the rows it currently owns
+app.get('/api/imports/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const batchResult = await pool.query('SELECT * FROM import_batches WHERE id = $1', [req.params.id]);
+
+        if (batchResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Import batch not found' });
+        }
+
+        const batch = batchResult.rows[0];
+        const { table } = IMPORT_TABLES[batch.source];
+        const limit = await pageSize(req);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const rows = await queryWithTimeout(
+            `SELECT * FROM ${table} WHERE batch_id = $1 ORDER BY id LIMIT $2 OFFSET $3`,
+            [batch.id, limit, offset]
+        );
+        const countResult = await queryWithTimeout(`SELECT COUNT(*) FROM ${table} WHERE batch_id = $1`, [batch.id]);
+
+        res.json({
+            batch,
+            records: rows.rows,
+            totalRecords: parseInt(countResult.rows[0].count)
+        });
+    } catch (error) {
+        console.error('Error fetching import batch:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch import batch' });
+    }
+});
+
+app.post('/api/imports/:id/rollback', requireRole('editor'), async (req, res) => {
+    try {
+        const result = await rollbackImportBatch(req.params.id, req.user);
+        await recordAudit(auditActor(req), 'import.rollback', { targetType: 'import_batch', targetId: req.params.id, details: result });
+        res.json({
+            success: true,
+            message: `Rolled back import ${req.params.id}: ${result.deletedRows} rows removed, ${result.restoredRows} rows restored`,
+            ...result
+        });
+    } catch (error) {
+        console.error('Rollback error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Progress of an import, for upload pages to poll while a background job runs
+app.get('/api/imports/:id/progress', requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, source, file_name, status, progress_done, progress_total,
+                total_rows, inserted_rows, updated_rows, skipped_rows, withdrawn_rows, conflict_rows, error_rows, error_message,
+                jsonb_array_length(COALESCE(error_report, '[]')) AS report_entries
+             FROM import_batches WHERE id = $1`,
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Import batch not found' });
+        }
+
+        const batch = result.rows[0];
+        const percent = batch.status === 'processing'
+            ? (batch.progress_total > 0 ? Math.floor((batch.progress_done / batch.progress_total) * 100) : 0)
+            : 100;
+
+        res.json({
+            batchId: batch.id,
+            source: batch.source,
+            fileName: batch.file_name,
+            status: batch.status,
+            processedRows: batch.progress_done,
+            rowsToWrite: batch.progress_total,
+            percent,
+            totalRows: batch.total_rows,
+            newRecords: batch.inserted_rows,
+            updated: batch.updated_rows,
+            unchanged: batch.skipped_rows,
+            duplicates: batch.skipped_rows,
+            conflicts: batch.conflict_rows,
+            withdrawn: batch.withdrawn_rows,
+            errors: batch.error_rows,
+            errorMessage: batch.error_message,
+            errorReportUrl: batch.report_entries > 0 ? `/api/imports/${batch.id}/report` : null
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Downloadable per-row error and warning report for an import
+app.get('/api/imports/:id/report', requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT id, file_name, error_report FROM import_batches WHERE id = $1', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Import batch not found' });
+        }
+
+        const batch = result.rows[0];
+        const entries = batch.error_report || [];
+        // Imports of several sheets say which sheet each row came from
+        const withSheet = entries.some(entry => entry.sheet);
+        const lines = [withSheet ? 'Sheet,Row,Level,Message' : 'Row,Level,Message'];
+        for (const entry of entries) {
+            const values = [entry.row, entry.level, entry.message];
+            lines.push((withSheet ? [entry.sheet, ...values] : values).map(csvValue).join(','));
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="import_${batch.id}_report.csv"`);
+        res.send(lines.join('\n'));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Page through a preview's rows (filter: issues, errors, updates, conflicts or all)
+app.get('/api/imports/previews/:token', requireRole('editor'), async (req, res) => {
+    try {
+        const preview = await loadImportPreview(req.params.token, req.user);
+        const limit = parseInt(req.query.limit) || PREVIEW_ROW_LIMIT;
+        const offset = parseInt(req.query.offset) || 0;
+        const rows = previewRows(preview.rows, req.query.filter);
+
+        res.json({
+            previewId: preview.token,
+            source: preview.source,
+            fileName: preview.file_name,
+            summary: preview.summary,
+            rows: rows.slice(offset, offset + limit),
+            totalShown: rows.length,
+            expiresAt: preview.expires_at
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/imports/previews/:token/commit', requireRole('editor'), async (req, res) => {
+    try {
+        const background = req.body && req.body.background === true;
+        const { fileName, batchId, result } = await commitImportPreview(req.params.token, req.user, background, auditActor(req));
+
+        if (background) {
+            return res.status(202).json(backgroundImportResponse(fileName, batchId));
+        }
+        res.json(importResponse(fileName, result));
+    } catch (error) {
+        console.error('Preview commit error:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/imports/previews/:token', requireRole('editor'), async (req, res) => {
+    try {
+        await loadImportPreview(req.params.token, req.user);
+        await pool.query('DELETE FROM import_previews WHERE token = $1', [req.params.token]);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Watched inbox: unattended imports of files dropped into local folders.
+// INBOX_DIRS is a comma-separated list of folders, scanned every
+// INBOX_POLL_SECONDS. Each file's type is detected from its header row, it goes
+// through the same importer as an upload, and is then moved into the folder's
+// processed/ or failed/ subfolder.
+const INBOX_DIRS = (process.env.INBOX_DIRS || '').split(',').map(dir => dir.trim()).filter(Boolean).map(dir => path.resolve(dir));
+const INBOX_POLL_SECONDS = parseInt(process.env.INBOX_POLL_SECONDS) || 60;
+const INBOX_EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv', '.tsv'];
+// Files modified more recently than this may still be being copied in
+const INBOX_SETTLE_MS = 10 * 1000;
+// Imports from the inbox are recorded as uploaded by "inbox"
+const INBOX_USER = { id: null, username: 'inbox' };
+const INBOX_ACTOR = { userId: null, username: 'inbox', ip: null };
+
+let inboxScan = null;
+let inboxLastScan = null;
+
+// Which importer a file belongs to, from the header rows of its sheets
+async function detectImportSource(filePath) {
+    const file = await openImportFile(filePath, true);
+    const { autoDetect } = await getSettings();
+    const headSheets = [];
+    for (const sheet of file.sheets) {
+        headSheets.push(await collectRowValues(sheet.rows(0)));
+    }
+
+    // Of the sources some sheet has all the required columns for, prefer the
+    // one that recognises the largest share of its columns
+    const matches = Object.keys(IMPORT_COLUMNS)
+        .map(source => {
+            const detections = headSheets
+                .map(headRows => detectColumns(headRows, source, null, autoDetect))
+                .filter(detection => detection.missing.length === 0);
+            const coverage = Math.max(0, ...detections.map(detection => Object.keys(detection.columnMap).length / Object.keys(IMPORT_COLUMNS[source]).length));
+            return { source, found: detections.length > 0, coverage };
+        })
+        .filter(match => match.found)
+        .sort((a, b) => b.coverage - a.coverage);
+
+    if (matches.length === 0) {
+        const error = new Error(`Not a recognised ${Object.keys(IMPORT_COLUMNS).join(' or ')} file: required columns not found`);
+        error.status = 400;
+        throw error;
+    }
+    return matches[0].source;
+}
+
+// Files in an inbox folder that are ready to import, oldest first
+async function inboxCandidates(directory) {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.') || entry.name.startsWith('~$')) continue;
+        if (!INBOX_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+
+        const stats = await fs.promises.stat(path.join(directory, entry.name));
+        if (Date.now() - stats.mtimeMs < INBOX_SETTLE_MS) continue;
+        files.push({ name: entry.name, modified: stats.mtimeMs });
+    }
+    return files.sort((a, b) => a.modified - b.modified).map(file => file.name);
+}
+
+// Move a handled file into processed/ or failed/, keeping any file of the same
+// name already there. Returns the new path, or null if it couldn't be moved.
+async function moveInboxFile(directory, fileName, folder) {
+    try {
+        const targetDirectory = path.join(directory, folder);
+        await fs.promises.mkdir(targetDirectory, { recursive: true });
+
+        let target = path.join(targetDirectory, fileName);
+        if (fs.existsSync(target)) {
+            target = path.join(targetDirectory, `${new Date().toISOString().replace(/[:.]/g, '-')}_${fileName}`);
+        }
+        await fs.promises.rename(path.join(directory, fileName), target);
+        return target;
+    } catch (error) {
+        console.error(`Could not move inbox file ${fileName} to ${folder}/:`, error);
+        return null;
+    }
+}
+
+async function recordInboxFile(entry) {
+    const result = await pool.query(
+        `INSERT INTO inbox_files (directory, file_name, content_hash, source, status, batch_id, message, moved_to)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [entry.directory, entry.fileName, entry.hash, entry.source || null, entry.status, entry.batchId || null, entry.message || null, entry.movedTo]
+    );
+    return result.rows[0];
+}
+
+// SHA-256 of a file, streamed so a large export is never held in memory
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256').setEncoding('hex');
+    await promisify(pipeline)(fs.createReadStream(filePath), hash);
+    return hash.read();
+}
+
+// Import one inbox file. Content already imported by a batch that's still in
+// place (not rolled back or cleared) is skipped. Returns the inbox_files row,
+// or null for a file that was handled before but couldn't be moved away.
+async function processInboxFile(directory, fileName) {
+    const filePath = path.join(directory, fileName);
+    const hash = await hashFile(filePath);
+
+    const stuck = await pool.query(
+        'SELECT id FROM inbox_files WHERE directory = $1 AND file_name = $2 AND content_hash = $3 AND moved_to IS NULL',
+        [directory, fileName, hash]
+    );
+    if (stuck.rows.length > 0) {
+        return null;
+    }
+
+    const previous = await pool.query(
+        `SELECT f.batch_id, b.source FROM inbox_files f
+         JOIN import_batches b ON b.id = f.batch_id
+         WHERE f.content_hash = $1 AND f.status = 'imported' AND b.status = 'completed'
+         ORDER BY f.id DESC LIMIT 1`,
+        [hash]
+    );
+    if (previous.rows.length > 0) {
+        const { batch_id: batchId, source } = previous.rows[0];
+        return recordInboxFile({
+            directory, fileName, hash, source,
+            status: 'skipped',
+            batchId,
+            message: `Same content as import ${batchId}; skipped`,
+            movedTo: await moveInboxFile(directory, fileName, 'processed')
+        });
+    }
+
+    let source = null;
+    let batchId = null;
+    try {
+        source = await detectImportSource(filePath);
+        batchId = await createImportBatch(source, fileName, INBOX_USER);
+        const result = await runImport(batchId, source, async () => {
+            const { rows } = await analyseImportFile(source, filePath, fileName);
+            return rows;
+        }, { user: INBOX_USER, actor: INBOX_ACTOR, fileName });
+
+        console.log(`Inbox import ${batchId} (${source}) of ${fileName}: ${result.counts.inserted} new, ${result.counts.updated} updated`);
+        return recordInboxFile({
+            directory, fileName, hash, source, batchId,
+            status: 'imported',
+            message: `${result.counts.inserted} new, ${result.counts.updated} updated, ${result.summary.errorRows} rows with errors`,
+            movedTo: await moveInboxFile(directory, fileName, 'processed')
+        });
+    } catch (error) {
+        console.error(`Inbox import of ${fileName} failed:`, error.message);
+        return recordInboxFile({
+            directory, fileName, hash, source, batchId,
+            status: 'failed',
+            message: error.message,
+            movedTo: await moveInboxFile(directory, fileName, 'failed')
+        });
+    }
+}
+
+// Scan every inbox folder once. A scan already in progress is shared rather
+// than started twice; across app instances an advisory lock keeps one scanner.
+function scanInbox() {
+    if (inboxScan) {
+        return inboxScan;
+    }
+
+    inboxScan = (async () => {
+        const startedAt = new Date();
+        const results = [];
+        let client = null;
+        try {
+            client = await pool.connect();
+            const lock = await client.query("SELECT pg_try_advisory_lock(hashtext('import_inbox')) AS locked");
+            if (!lock.rows[0].locked) {
+                return results;
+            }
+            try {
+                for (const directory of INBOX_DIRS) {
+                    let files = [];
+                    try {
+                        files = await inboxCandidates(directory);
+                    } catch (error) {
+                        console.error(`Could not read inbox folder ${directory}:`, error.message);
+                    }
+                    for (const fileName of files) {
+                        const entry = await processInboxFile(directory, fileName);
+                        if (entry) results.push(entry);
+                    }
+                }
+            } finally {
+                await client.query("SELECT pg_advisory_unlock(hashtext('import_inbox'))");
+            }
+            inboxLastScan = { startedAt, finishedAt: new Date(), files: results.length, error: null };
+        } catch (error) {
+            console.error('Inbox scan failed:', error);
+            inboxLastScan = { startedAt, finishedAt: new Date(), files: results.length, error: error.message };
+        } finally {
+            if (client) client.release();
+            inboxScan = null;
+        }
+        return results;
+    })();
+    return inboxScan;
+}
+
+function startInboxWatcher() {
+    if (INBOX_DIRS.length === 0) {
+        return;
+    }
+    for (const directory of INBOX_DIRS) {
+        fs.mkdirSync(directory, { recursive: true });
+    }
+    console.log(`Watching inbox folders every ${INBOX_POLL_SECONDS}s: ${INBOX_DIRS.join(', ')}`);
+    const scan = () => scanInbox().catch(error => console.error('Inbox scan failed:', error));
+    scan();
+    setInterval(scan, INBOX_POLL_SECONDS * 1000);
+}
+
+// Inbox configuration, last scan and the files it has handled, newest first
+app.get('/api/inbox', requireRole('editor'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const result = await pool.query(
+            `SELECT f.*, b.status AS batch_status
+             FROM inbox_files f
+             LEFT JOIN import_batches b ON b.id = f.batch_id
+             ORDER BY f.processed_at DESC, f.id DESC
+             LIMIT $1`,
+            [limit]
+        );
+
+        res.json({
+            enabled: INBOX_DIRS.length > 0,
+            directories: INBOX_DIRS,
+            pollSeconds: INBOX_POLL_SECONDS,
+            scanning: !!inboxScan,
+            lastScan: inboxLastScan,
+            files: result.rows
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Scan the inbox now instead of waiting for the next poll
+app.post('/api/inbox/scan', requireRole('editor'), async (req, res) => {
+    try {
+        if (INBOX_DIRS.length === 0) {
+            return res.status(400).json({ error: 'No inbox folders are configured (set INBOX_DIRS)' });
+        }
+        const files = await scanInbox();
+        await recordAudit(auditActor(req), 'inbox.scan', { details: { files: files.length } });
+        res.json({ success: true, files });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Overall statistics for the settings page
+app.get('/api/stats', requireRole('viewer'), async (req, res) => {
+    try {
+        const sales = await pool.query(`
+            SELECT
+                COUNT(*) as total_records,
+                COUNT(DISTINCT title) as total_titles
+            FROM gazelle_sales
+        `);
+        const customers = await pool.query(`
+            SELECT
+                COUNT(*) as total_customers,
+                COUNT(*) FILTER (WHERE ${exclusionMatchSql('customer_code', 'customer_name')}) as excluded_customers
+            FROM customers
+        `);
+        const exclusions = await pool.query(
+            'SELECT COUNT(*) FROM customer_exclusions WHERE expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP'
+        );
+
+        res.json({
+            total_records: parseInt(sales.rows[0].total_records),
+            total_titles: parseInt(sales.rows[0].total_titles),
+            total_customers: parseInt(customers.rows[0].total_customers),
+            excluded_customers: parseInt(customers.rows[0].excluded_customers),
+            active_exclusions: parseInt(exclusions.rows[0].count)
+        });
+    } catch (error) {
+        console.error('Error fetching stats:', error);
+        res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+});
+
+// Customer exclusions
+app.get('/api/exclusions', requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT
+                e.*,
+                (e.expires_at IS NULL OR e.expires_at > CURRENT_TIMESTAMP) as active,
+                (
+                    SELECT COUNT(*) FROM customers c
+                    WHERE (e.match_type = 'code' AND e.value = c.customer_code)
+                    OR (e.match_type = 'pattern' AND c.customer_name ILIKE ${exclusionPatternSql('e.value')})
+                ) as matched_customers
+            FROM customer_exclusions e
+            ORDER BY e.match_type, e.value
+        `);
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/exclusions', requireRole('editor'), async (req, res) => {
+    try {
+        const { match_type, value, reason, expires_at } = req.body;
+        const trimmedValue = (value || '').toString().trim();
+
+        if (!EXCLUSION_TYPES.includes(match_type)) {
+            return res.status(400).json({ error: `match_type must be one of: ${EXCLUSION_TYPES.join(', ')}` });
+        }
+        if (!trimmedValue) {
+            return res.status(400).json({ error: 'A customer code or name pattern is required' });
+        }
+        if (expires_at && isNaN(new Date(expires_at).getTime())) {
+            return res.status(400).json({ error: 'expires_at must be a valid date' });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO customer_exclusions (match_type, value, reason, expires_at, created_by)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [match_type, trimmedValue, reason || null, expires_at || null, req.user.username]
+        );
+
+        await recordAudit(auditActor(req), 'exclusion.create', { targetType: 'exclusion', targetId: result.rows[0].id, after: result.rows[0] });
+        res.json({ success: true, exclusion: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'This exclusion already exists' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/exclusions/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM customer_exclusions WHERE id = $1 RETURNING *', [req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Exclusion not found' });
+        }
+        await recordAudit(auditActor(req), 'exclusion.delete', { targetType: 'exclusion', targetId: req.params.id, before: result.rows[0] });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/reset-exclusions', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM customer_exclusions RETURNING *');
+        await recordAudit(auditActor(req), 'exclusion.reset', { targetType: 'table', targetId: 'customer_exclusions', before: result.rows });
+        res.json({
+            success: true,
+            message: `Removed ${result.rowCount} customer exclusions`,
+            deletedCount: result.rowCount
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get titles for reports, optionally only one publisher's
+app.get('/api/titles', requireRole('viewer'), async (req, res) => {
+    try {
+        const params = [];
+        let publisherFilter = '';
+        if (req.query.publisher) {
+            params.push(req.query.publisher);
+            publisherFilter = 'AND LOWER(TRIM(catalogue_publisher)) = LOWER(TRIM($1))';
+        }
+
+        const result = await pool.query(
+            `SELECT DISTINCT catalogue_title AS title FROM sales_catalogue
+             WHERE catalogue_title IS NOT NULL ${publisherFilter}
+             ORDER BY title`,
+            params
+        );
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Publishers with sales, for the report form
+app.get('/api/publishers', requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT
+                MIN(TRIM(catalogue_publisher)) as publisher,
+                COUNT(DISTINCT catalogue_title) as titles,
+                SUM(quantity) as total_quantity
+            FROM sales_catalogue
+            WHERE TRIM(COALESCE(catalogue_publisher, '')) <> ''
+            GROUP BY LOWER(TRIM(catalogue_publisher))
+            ORDER BY publisher
+        `);
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Stockists for a period, one report per publisher. Sales are scoped by
+// catalogue publisher (publisher: one publisher, allPublishers: every publisher
+// with sales) and/or a list of titles. Each customer row carries its per-title
+// quantities. Quantities are net of returns, and customers (or titles for a
+// customer) whose net purchases come to nothing are left out.
+async function buildStockistReports({ publisher, allPublishers, titles, startDate, endDate, includeExcluded, excludeCustomers }) {
+    const params = [startDate, endDate];
+    const conditions = ['order_date >= $1', 'order_date <= $2'];
+
+    if (!allPublishers && publisher) {
+        params.push(publisher);
+        conditions.push(`LOWER(TRIM(catalogue_publisher)) = LOWER(TRIM($${params.length}))`);
+    }
+    if (allPublishers) {
+        conditions.push(`TRIM(COALESCE(catalogue_publisher, '')) <> ''`);
+    }
+    if (titles && titles.length > 0) {
+        params.push(titles);
+        conditions.push(`catalogue_title = ANY($${params.length})`);
+    }
+    if (!includeExcluded) {
+        conditions.push(`NOT ${exclusionMatchSql('customer', 'customer_name')}`);
+    }
+    if (excludeCustomers && excludeCustomers.length > 0) {
+        params.push(excludeCustomers);
+        conditions.push(`customer <> ALL($${params.length})`);
+    }
+
+    // In single-publisher mode every row belongs to the requested report
+    const publisherKey = allPublishers ? 'LOWER(TRIM(catalogue_publisher))' : "''::text";
+    const where = conditions.join(' AND ');
+
+    const customers = await pool.query(
+        `SELECT
+            ${publisherKey} as publisher_key,
+            MIN(TRIM(catalogue_publisher)) as publisher,
+            customer_name,
+            MAX(customer) as customer_code,
+            MAX(city) as city,
+            MAX(country) as country,
+            COUNT(DISTINCT order_ref) FILTER (WHERE line_type = 'sale') as total_orders,
+            SUM(quantity) as total_quantity,
+            COALESCE(-SUM(quantity) FILTER (WHERE line_type = 'return'), 0) as returned_quantity,
+            MAX(order_date) FILTER (WHERE line_type = 'sale') as last_order
+         FROM sales_catalogue
+         WHERE ${where}
+         GROUP BY ${publisherKey}, customer_name
+         HAVING SUM(quantity) > 0
+         ORDER BY country, city, customer_name`,
+        params
+    );
+
+    const titleLines = await pool.query(
+        `SELECT
+            ${publisherKey} as publisher_key,
+            customer_name,
+            catalogue_title as title,
+            SUM(quantity) as quantity,
+            COUNT(DISTINCT order_ref) FILTER (WHERE line_type = 'sale') as orders
+         FROM sales_catalogue
+         WHERE ${where}
+         GROUP BY ${publisherKey}, customer_name, catalogue_title
+         HAVING SUM(quantity) > 0
+         ORDER BY catalogue_title`,
+        params
+    );
+
+    const titlesByCustomer = new Map();
+    for (const line of titleLines.rows) {
+        const key = `${line.publisher_key}|${line.customer_name}`;
+        if (!titlesByCustomer.has(key)) titlesByCustomer.set(key, []);
+        titlesByCustomer.get(key).push({ title: line.title, quantity: parseInt(line.quantity), orders: parseInt(line.orders) });
+    }
+
+    const reports = new Map();
+    for (const row of customers.rows) {
+        if (!reports.has(row.publisher_key)) {
+            reports.set(row.publisher_key, {
+                publisher: allPublishers || publisher ? row.publisher : null,
+                data: [],
+                titles: new Set()
+            });
+        }
+        const report = reports.get(row.publisher_key);
+        const customerTitles = titlesByCustomer.get(`${row.publisher_key}|${row.customer_name}`) || [];
+        customerTitles.forEach(line => report.titles.add(line.title));
+
+        const { publisher_key, publisher: rowPublisher, ...customer } = row;
+        report.data.push({ ...customer, titles: customerTitles });
+    }
+
+    return [...reports.values()]
+        .map(report => ({
+            publisher: report.publisher,
+            data: report.data,
+            totalCustomers: report.data.length,
+            titles: [...report.titles].sort()
+        }))
+        .sort((a, b) => (a.publisher || '').localeCompare(b.publisher || ''));
+}
+
+// Validate a report definition (as sent to /api/generate-report and
+// /api/reports/render) and normalise it for buildStockistReports
+function parseReportDefinition(body) {
+    const { publisher, allPublishers, startDate, endDate, titles, includeExcluded, excludeCustomers } = body || {};
+
+    if (!startDate || !endDate) {
+        const error = new Error('startDate and endDate are required');
+        error.status = 400;
+        throw error;
+    }
+    if (typeof startDate !== 'string' || typeof endDate !== 'string') {
+        const error = new Error('startDate and endDate must be dates as text, e.g. 2025-01-31');
+        error.status = 400;
+        throw error;
+    }
+    if (publisher !== undefined && publisher !== null && typeof publisher !== 'string') {
+        const error = new Error('publisher must be text');
+        error.status = 400;
+        throw error;
+    }
+    if (titles !== undefined && titles !== null && !(Array.isArray(titles) && titles.every(title => typeof title === 'string'))) {
+        const error = new Error('titles must be a list of title names');
+        error.status = 400;
+        throw error;
+    }
+    if (!allPublishers && !(publisher && publisher.trim()) && !(titles && titles.length > 0)) {
+        const error = new Error('Choose a publisher, some titles, or all publishers');
+        error.status = 400;
+        throw error;
+    }
+
+    return {
+        publisher: publisher ? publisher.trim() : null,
+        allPublishers: !!allPublishers,
+        titles,
+        startDate,
+        endDate,
+        includeExcluded: !!includeExcluded,
+        excludeCustomers: customerCodeList(excludeCustomers)
+    };
+}
+
+// Customer codes from an array or a comma-separated string
+function customerCodeList(value) {
+    const codes = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(codes.map(code => String(code).trim()).filter(Boolean))];
+}
+
+// Generate report endpoint. Send publisher (and optionally titles) for one
+// publisher's stockists, titles alone for a title list, or allPublishers: true
+// for one report per publisher.
+app.post('/api/generate-report', requireRole('viewer'), async (req, res) => {
+    try {
+        const definition = parseReportDefinition(req.body);
+        // Each report also comes grouped by country and city, as the
+        // rendered files lay it out, for the page to display
+        const reports = (await buildStockistReports(definition))
+            .map(report => ({ ...report, groups: groupReportByCountry(report.data) }));
+
+        if (definition.allPublishers) {
+            return res.json({
+                success: true,
+                reports,
+                totalPublishers: reports.length,
+                totalCustomers: new Set(reports.flatMap(report => report.data.map(row => row.customer_name))).size
+            });
+        }
+
+        const report = reports[0] || { publisher: definition.publisher, data: [], groups: [], totalCustomers: 0, titles: [] };
+        res.json({
+            success: true,
+            publisher: report.publisher,
+            data: report.data,
+            groups: report.groups,
+            titles: report.titles,
+            totalCustomers: report.totalCustomers
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Country code to full name mapping used when rendering reports
+const COUNTRY_NAMES = {
+    // Europe
+    'UK': 'United Kingdom',
+    'GB': 'United Kingdom',
+    'FR': 'France',
+    'DE': 'Germany',
+    'IT': 'Italy',
+    'ES': 'Spain',
+    'NL': 'Netherlands',
+    'BE': 'Belgium',
+    'AT': 'Austria',
+    'CH': 'Switzerland',
+    'SE': 'Sweden',
+    'NO': 'Norway',
+    'DK': 'Denmark',
+    'FI': 'Finland',
+    'PL': 'Poland',
+    'PT': 'Portugal',
+    'IE': 'Ireland',
+    'CZ': 'Czech Republic',
+    'HU': 'Hungary',
+    'RO': 'Romania',
+    'GR': 'Greece',
+    'BG': 'Bulgaria',
+    'HR': 'Croatia',
+    'SK': 'Slovakia',
+    'SI': 'Slovenia',
+    'LT': 'Lithuania',
+    'LV': 'Latvia',
+    'EE': 'Estonia',
+    'LU': 'Luxembourg',
+    'MT': 'Malta',
+    'CY': 'Cyprus',
+    'IS': 'Iceland',
+    'LI': 'Liechtenstein',
+    'MC': 'Monaco',
+    'SM': 'San Marino',
+    'VA': 'Vatican City',
+    'AD': 'Andorra',
+    'RS': 'Serbia',
+    'ME': 'Montenegro',
+    'MK': 'North Macedonia',
+    'AL': 'Albania',
+    'BA': 'Bosnia and Herzegovina',
+    'XK': 'Kosovo',
+    'MD': 'Moldova',
+    'UA': 'Ukraine',
+    'BY': 'Belarus',
+    'RU': 'Russia',
+    
+    // Americas
+    'US': 'United States',
+    'USA': 'United States',
+    'CA': 'Canada',
+    'MX': 'Mexico',
+    'BR': 'Brazil',
+    'AR': 'Argentina',
+    'CL': 'Chile',
+    'CO': 'Colombia',
+    'PE': 'Peru',
+    'VE': 'Venezuela',
+    'EC': 'Ecuador',
+    'BO': 'Bolivia',
+    'PY': 'Paraguay',
+    'UY': 'Uruguay',
+    'GY': 'Guyana',
+    'SR': 'Suriname',
+    'GF': 'French Guiana',
+    'CR': 'Costa Rica',
+    'PA': 'Panama',
+    'NI': 'Nicaragua',
+    'HN': 'Honduras',
+    'SV': 'El Salvador',
+    'GT': 'Guatemala',
+    'BZ': 'Belize',
+    'CU': 'Cuba',
+    'DO': 'Dominican Republic',
+    'HT': 'Haiti',
+    'JM': 'Jamaica',
+    'TT': 'Trinidad and Tobago',
+    'BB': 'Barbados',
+    'BS': 'Bahamas',
+    'AG': 'Antigua and Barbuda',
+    'DM': 'Dominica',
+    'GD': 'Grenada',
+    'KN': 'Saint Kitts and Nevis',
+    'LC': 'Saint Lucia',
+    'VC': 'Saint Vincent and the Grenadines',
+    
+    // Asia
+    'CN': 'China',
+    'JP': 'Japan',
+    'KR': 'South Korea',
+    'KP': 'North Korea',
+    'IN': 'India',
+    'PK': 'Pakistan',
+    'BD': 'Bangladesh',
+    'LK': 'Sri Lanka',
+    'NP': 'Nepal',
+    'BT': 'Bhutan',
+    'MM': 'Myanmar',
+    'TH': 'Thailand',
+    'VN': 'Vietnam',
+    'LA': 'Laos',
+    'KH': 'Cambodia',
+    'MY': 'Malaysia',
+    'SG': 'Singapore',
+    'ID': 'Indonesia',
+    'PH': 'Philippines',
+    'TL': 'Timor-Leste',
+    'BN': 'Brunei',
+    'TW': 'Taiwan',
+    'HK': 'Hong Kong',
+    'MO': 'Macau',
+    'MN': 'Mongolia',
+    'KZ': 'Kazakhstan',
+    'UZ': 'Uzbekistan',
+    'TM': 'Turkmenistan',
+    'KG': 'Kyrgyzstan',
+    'TJ': 'Tajikistan',
+    'AF': 'Afghanistan',
+    'IR': 'Iran',
+    'IQ': 'Iraq',
+    'SY': 'Syria',
+    'LB': 'Lebanon',
+    'JO': 'Jordan',
+    'IL': 'Israel',
+    'PS': 'Palestine',
+    'SA': 'Saudi Arabia',
+    'YE': 'Yemen',
+    'OM': 'Oman',
+    'AE': 'United Arab Emirates',
+    'QA': 'Qatar',
+    'BH': 'Bahrain',
+    'KW': 'Kuwait',
+    'TR': 'Turkey',
+    'GE': 'Georgia',
+    'AM': 'Armenia',
+    'AZ': 'Azerbaijan',
+    'MV': 'Maldives',
+    
+    // Africa
+    'ZA': 'South Africa',
+    'EG': 'Egypt',
+    'NG': 'Nigeria',
+    'ET': 'Ethiopia',
+    'KE': 'Kenya',
+    'UG': 'Uganda',
+    'TZ': 'Tanzania',
+    'GH': 'Ghana',
+    'CI': 'Ivory Coast',
+    'SN': 'Senegal',
+    'ML': 'Mali',
+    'BF': 'Burkina Faso',
+    'NE': 'Niger',
+    'TD': 'Chad',
+    'SD': 'Sudan',
+    'SS': 'South Sudan',
+    'DZ': 'Algeria',
+    'MA': 'Morocco',
+    'TN': 'Tunisia',
+    'LY': 'Libya',
+    'MR': 'Mauritania',
+    'ER': 'Eritrea',
+    'DJ': 'Djibouti',
+    'SO': 'Somalia',
+    'RW': 'Rwanda',
+    'BI': 'Burundi',
+    'CM': 'Cameroon',
+    'CF': 'Central African Republic',
+    'CG': 'Republic of the Congo',
+    'CD': 'Democratic Republic of the Congo',
+    'GA': 'Gabon',
+    'GQ': 'Equatorial Guinea',
+    'AO': 'Angola',
+    'ZM': 'Zambia',
+    'ZW': 'Zimbabwe',
+    'NA': 'Namibia',
+    'BW': 'Botswana',
+    'SZ': 'Eswatini',
+    'LS': 'Lesotho',
+    'MZ': 'Mozambique',
+    'MW': 'Malawi',
+    'MG': 'Madagascar',
+    'MU': 'Mauritius',
+    'SC': 'Seychelles',
+    'KM': 'Comoros',
+    'CV': 'Cape Verde',
+    'ST': 'Sao Tome and Principe',
+    'GW': 'Guinea-Bissau',
+    'GN': 'Guinea',
+    'SL': 'Sierra Leone',
+    'LR': 'Liberia',
+    'TG': 'Togo',
+    'BJ': 'Benin',
+    'GM': 'Gambia',
+    
+    // Oceania
+    'AU': 'Australia',
+    'NZ': 'New Zealand',
+    'PG': 'Papua New Guinea',
+    'FJ': 'Fiji',
+    'SB': 'Solomon Islands',
+    'VU': 'Vanuatu',
+    'NC': 'New Caledonia',
+    'PF': 'French Polynesia',
+    'WS': 'Samoa',
+    'TO': 'Tonga',
+    'KI': 'Kiribati',
+    'PW': 'Palau',
+    'FM': 'Micronesia',
+    'MH': 'Marshall Islands',
+    'NR': 'Nauru',
+    'TV': 'Tuvalu',
+    'CK': 'Cook Islands',
+    'NU': 'Niue',
+    
+    // Special cases and variations
+    'UAE': 'United Arab Emirates',
+    'ROK': 'South Korea',
+    'DPRK': 'North Korea',
+    'RSA': 'South Africa',
+    'NED': 'Netherlands',
+    'GER': 'Germany',
+    'SUI': 'Switzerland',
+    'AUT': 'Austria',
+    'BEL': 'Belgium',
+    'ESP': 'Spain',
+    'POR': 'Portugal',
+    'ITA': 'Italy',
+    'FRA': 'France',
+    'ENG': 'England',
+    'SCO': 'Scotland',
+    'WAL': 'Wales',
+    'NIR': 'Northern Ireland',
+    'IRE': 'Ireland',
+    'DEN': 'Denmark',
+    'SWE': 'Sweden',
+    'NOR': 'Norway',
+    'FIN': 'Finland',
+    'POL': 'Poland',
+    'CZE': 'Czech Republic',
+    'SVK': 'Slovakia',
+    'HUN': 'Hungary',
+    'ROM': 'Romania',
+    'BUL': 'Bulgaria',
+    'GRE': 'Greece',
+    'CRO': 'Croatia',
+    'SRB': 'Serbia',
+    'BIH': 'Bosnia and Herzegovina',
+    'MKD': 'North Macedonia',
+    'ALB': 'Albania',
+    'LTU': 'Lithuania',
+    'LAT': 'Latvia',
+    'EST': 'Estonia',
+    'BLR': 'Belarus',
+    'UKR': 'Ukraine',
+    'RUS': 'Russia',
+    'GEO': 'Georgia',
+    'ARM': 'Armenia',
+    'AZE': 'Azerbaijan',
+    'TUR': 'Turkey',
+    'CYP': 'Cyprus',
+    'ISR': 'Israel',
+    'PAL': 'Palestine',
+    'JPN': 'Japan',
+    'CHN': 'China',
+    'IND': 'India',
+    'PAK': 'Pakistan',
+    'BAN': 'Bangladesh',
+    'SRI': 'Sri Lanka',
+    'THA': 'Thailand',
+    'VIE': 'Vietnam',
+    'MAL': 'Malaysia',
+    'SIN': 'Singapore',
+    'INA': 'Indonesia',
+    'PHI': 'Philippines',
+    'AUS': 'Australia',
+    'NZL': 'New Zealand',
+    'ARG': 'Argentina',
+    'BRA': 'Brazil',
+    'CHI': 'Chile',
+    'COL': 'Colombia',
+    'MEX': 'Mexico',
+    'PER': 'Peru',
+    'URU': 'Uruguay',
+    'VEN': 'Venezuela',
+    'CAN': 'Canada',
+    'CRC': 'Costa Rica',
+    'PAN': 'Panama',
+    'CUB': 'Cuba',
+    'JAM': 'Jamaica',
+    'HAI': 'Haiti',
+    'DOM': 'Dominican Republic',
+    'EGY': 'Egypt',
+    'NIG': 'Nigeria',
+    'KEN': 'Kenya',
+    'ETH': 'Ethiopia',
+    'GHA': 'Ghana',
+    'SEN': 'Senegal',
+    'MAR': 'Morocco',
+    'ALG': 'Algeria',
+    'TUN': 'Tunisia',
+    'Unknown': 'Unknown',
+    'UNKNOWN': 'Unknown',
+    '': 'Unknown'
+};
+
+function countryName(code) {
+    if (!code) return 'Unknown';
+    return COUNTRY_NAMES[code.toUpperCase().trim()] || code;
+}
+
+const REPORT_BRAND = 'Antenne Books';
+
+// Group a report's customers by country (most stockists first), then city,
+// then customer name - the layout every rendered report uses
+function groupReportByCountry(data) {
+    const countries = new Map();
+    for (const row of data) {
+        const country = countryName(row.country);
+        if (!countries.has(country)) countries.set(country, new Map());
+        const cities = countries.get(country);
+        const city = row.city || 'Unknown';
+        if (!cities.has(city)) cities.set(city, []);
+        cities.get(city).push(row);
+    }
+
+    return [...countries.entries()]
+        .map(([country, cities]) => ({
+            country,
+            customers: [...cities.values()].reduce((total, rows) => total + rows.length, 0),
+            cities: [...cities.entries()]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([city, rows]) => ({
+                    city,
+                    rows: rows.sort((a, b) => a.customer_name.localeCompare(b.customer_name))
+                }))
+        }))
+        .sort((a, b) => b.customers - a.customers || a.country.localeCompare(b.country));
+}
+
+function reportTitleSummary(row) {
+    return (row.titles || []).map(line => `${line.title} (${line.quantity})`).join('; ');
+}
+
+function reportFileName(definition, reports, extension) {
+    const name = definition.allPublishers ? 'All_Publishers'
+        : (reports[0] && reports[0].publisher) || definition.publisher || 'Selected_Titles';
+    return `${name.replace(/[^A-Za-z0-9]+/g, '_')}_Stockists_${definition.startDate}_${definition.endDate}.${extension}`;
+}
+
+function renderReportCsv(reports) {
+    const lines = [['Publisher', 'Retailer Name', 'City', 'Country', 'Titles (quantity)', 'Orders', 'Quantity'].join(',')];
+    for (const report of reports) {
+        for (const group of groupReportByCountry(report.data)) {
+            for (const city of group.cities) {
+                for (const row of city.rows) {
+                    lines.push([
+                        report.publisher || '', row.customer_name, row.city || '', group.country,
+                        reportTitleSummary(row), row.total_orders, row.total_quantity
+                    ].map(csvValue).join(','));
+                }
+            }
+        }
+    }
+    return lines.join('\n');
+}
+
+// Plain-text stockist list for pasting into publisher packs: one section per
+// publisher, separated by form feeds
+function renderReportTxt(definition, reports) {
+    return reports.map(report => {
+        const header = [
+            'STOCKIST REPORT',
+            '================',
+            '',
+            `Publisher: ${report.publisher || 'Selected titles'}`,
+            `Report Generated: ${new Date().toLocaleDateString('en-GB')}`,
+            `Date Range: ${definition.startDate} to ${definition.endDate}`,
+            `Total Customers: ${report.data.length}`
+        ];
+        const countries = groupReportByCountry(report.data).map(group => [
+            `${group.country} `,
+            '-------------------------------------',
+            '',
+            group.cities.map(city => [city.city, ...city.rows.map(row => `- ${row.customer_name}`)].join('\n')).join('\n\n')
+        ].join('\n'));
+        return `${header.join('\n')}\n\n\n\n${countries.join('\n\n\n\n')}\n`;
+    }).join('\n\n\f');
+}
+
+// Excel sheet names: max 31 characters, no []:*?/\ and unique per workbook
+function uniqueSheetName(name, used) {
+    const base = name.replace(/[\[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+    let sheetName = base;
+    for (let i = 2; used.has(sheetName.toLowerCase()); i++) {
+        sheetName = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+    }
+    used.add(sheetName.toLowerCase());
+    return sheetName;
+}
+
+// Workbook with a summary sheet and one sheet per country. Each sheet
+// starts with a branded header block above the stockist table.
+function renderReportXlsx(definition, reports) {
+    const workbook = XLSX.utils.book_new();
+    const used = new Set();
+    const multiple = reports.length > 1 || definition.allPublishers;
+    const heading = multiple ? 'All publishers' : (reports[0] && reports[0].publisher) || definition.publisher || 'Selected titles';
+    const period = `${definition.startDate} to ${definition.endDate}`;
+    const generated = new Date().toLocaleDateString('en-GB');
+
+    const byCountry = new Map();
+    for (const report of reports) {
+        for (const group of groupReportByCountry(report.data)) {
+            if (!byCountry.has(group.country)) byCountry.set(group.country, []);
+            byCountry.get(group.country).push({ publisher: report.publisher, group });
+        }
+    }
+    const countries = [...byCountry.entries()].sort(([a, aGroups], [b, bGroups]) => {
+        const count = groups => groups.reduce((total, entry) => total + entry.group.customers, 0);
+        return count(bGroups) - count(aGroups) || a.localeCompare(b);
+    });
+
+    const header = [
+        [`${REPORT_BRAND} - Stockist Report`],
+        ['Publisher', heading],
+        ['Period', period],
+        ['Generated', generated],
+        []
+    ];
+
+    const summary = [...header, ['Country', 'Stockists']];
+    for (const [country, groups] of countries) {
+        summary.push([country, groups.reduce((total, entry) => total + entry.group.customers, 0)]);
+    }
+    summary.push([], ['Total', reports.reduce((total, report) => total + report.data.length, 0)]);
+    const summarySheet = XLSX.utils.aoa_to_sheet(summary);
+    summarySheet['!cols'] = [{ wch: 30 }, { wch: 12 }];
+    summarySheet['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 1 } }];
+    XLSX.utils.book_append_sheet(workbook, summarySheet, uniqueSheetName('Summary', used));
+
+    const columns = multiple
+        ? ['Publisher', 'Retailer Name', 'City', 'Titles (quantity)', 'Orders', 'Quantity']
+        : ['Retailer Name', 'City', 'Titles (quantity)', 'Orders', 'Quantity'];
+
+    for (const [country, groups] of countries) {
+        const rows = [...header, [country], columns];
+        for (const { publisher, group } of groups) {
+            for (const city of group.cities) {
+                for (const row of city.rows) {
+                    const values = [row.customer_name, row.city || '', reportTitleSummary(row), parseInt(row.total_orders), parseInt(row.total_quantity)];
+                    rows.push(multiple ? [publisher || '', ...values] : values);
+                }
+            }
+        }
+
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        const widths = [{ wch: 40 }, { wch: 20 }, { wch: 60 }, { wch: 8 }, { wch: 10 }];
+        sheet['!cols'] = multiple ? [{ wch: 30 }, ...widths] : widths;
+        sheet['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: columns.length - 1 } }];
+        sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: header.length + 1, c: 0 }, e: { r: rows.length - 1, c: columns.length - 1 } }) };
+        XLSX.utils.book_append_sheet(workbook, sheet, uniqueSheetName(country, used));
+    }
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Minimal PDF writer: A4 pages of text in the built-in Helvetica fonts
+// (no embedded fonts, so text is limited to the WinAnsi character set)
+const PDF_PAGE = { width: 595, height: 842, margin: 50 };
+
+function pdfText(text) {
+    const latin1 = String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+    return latin1.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+// Helvetica averages about half an em per character; good enough to keep
+// long customer and title lists inside the page margins
+function pdfWrap(text, size, indent) {
+    const maxChars = Math.floor((PDF_PAGE.width - PDF_PAGE.margin * 2 - indent) / (size * 0.5));
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/)) {
+        if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines.map(part => part.slice(0, maxChars));
+}
+
+function renderPdfDocument(pages, footer) {
+    const objects = [];
+    const addObject = content => {
+        objects.push(content);
+        return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = pages.map((lines, index) => {
+        const footerText = `${footer} - Page ${index + 1} of ${pages.length}`;
+        const commands = lines.map(line =>
+            `BT /${line.bold ? 'F2' : 'F1'} ${line.size} Tf ${line.grey ? '0.4 g' : '0 g'} ${line.x} ${line.y} Td (${pdfText(line.text)}) Tj ET`
+        );
+        commands.push(`BT /F1 8 Tf 0.4 g ${PDF_PAGE.margin} 30 Td (${pdfText(footerText)}) Tj ET`);
+        const stream = commands.join('\n');
+        const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+            `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((content, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${content}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+// Paginated stockist list: each publisher starts on a new page, laid out
+// by country and city like the TXT export
+function renderReportPdf(definition, reports) {
+    const pages = [];
+    let lines = null;
+    let y = 0;
+    const bottom = PDF_PAGE.margin + 10;
+
+    const newPage = () => {
+        lines = [];
+        pages.push(lines);
+        y = PDF_PAGE.height - PDF_PAGE.margin;
+    };
+    const write = (text, { size = 10, bold = false, grey = false, indent = 0, gap = 0 } = {}) => {
+        for (const part of pdfWrap(text, size, indent)) {
+            if (y - size < bottom) newPage();
+            y -= size + 4;
+            lines.push({ text: part, size, bold, grey, x: PDF_PAGE.margin + indent, y });
+        }
+        y -= gap;
+    };
+
+    const period = `${definition.startDate} to ${definition.endDate}`;
+    if (reports.length === 0) {
+        newPage();
+        write(`${REPORT_BRAND} - Stockist Report`, { size: 18, bold: true, gap: 6 });
+        write(`Period: ${period}`);
+        write('No stockists found for the selected criteria', { gap: 6 });
+    }
+
+    for (const report of reports) {
+        newPage();
+        write(`${REPORT_BRAND} - Stockist Report`, { size: 18, bold: true, gap: 6 });
+        write(`Publisher: ${report.publisher || definition.publisher || 'Selected titles'}`, { size: 12, bold: true });
+        write(`Period: ${period}`);
+        write(`Total stockists: ${report.data.length}`, { gap: 12 });
+
+        for (const group of groupReportByCountry(report.data)) {
+            // Keep a country heading with at least its first city and customer
+            if (y - 60 < bottom) newPage();
+            write(`${group.country} (${group.customers})`, { size: 13, bold: true, gap: 4 });
+            for (const city of group.cities) {
+                if (y - 30 < bottom) newPage();
+                write(city.city, { bold: true });
+                for (const row of city.rows) {
+                    write(`- ${row.customer_name}`, { indent: 10 });
+                    const titles = reportTitleSummary(row);
+                    if (titles) write(titles, { size: 8, grey: true, indent: 20 });
+                }
+                y -= 6;
+            }
+            y -= 10;
+        }
+    }
+
+    return renderPdfDocument(pages, `${REPORT_BRAND} stockist report, ${period}`);
+}
+
+const REPORT_FORMATS = {
+    csv: { type: 'text/csv', render: (definition, reports) => renderReportCsv(reports) },
+    txt: { type: 'text/plain; charset=utf-8', render: renderReportTxt },
+    xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', render: renderReportXlsx },
+    pdf: { type: 'application/pdf', render: renderReportPdf }
+};
+
+// Render a report definition (same fields as /api/generate-report plus
+// format: xlsx, csv, txt or pdf) to a downloadable file
+app.post('/api/reports/render', requireRole('viewer'), async (req, res) => {
+    try {
+        const format = REPORT_FORMATS[(req.body.format || 'xlsx').toLowerCase()];
+        if (!format) {
+            return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+        }
+
+        const definition = parseReportDefinition(req.body);
+        const reports = await buildStockistReports(definition);
+
+        res.setHeader('Content-Type', format.type);
+        res.setHeader('Content-Disposition', `attachment; filename="${reportFileName(definition, reports, (req.body.format || 'xlsx').toLowerCase())}"`);
+        res.send(format.render(definition, reports));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Saved reports: stockist report definitions that run on a cron schedule inside
+// the server (or by hand), keep every run's file for download and can email it
+// to the publisher's contact. Mail goes through SMTP_HOST; for local testing
+// point it at a mail catcher such as MailHog (see .env.example).
+const REPORT_WINDOWS = {
+    last_30_days: 'Last 30 days',
+    last_90_days: 'Last 90 days',
+    last_12_months: 'Last 12 months',
+    previous_month: 'Previous calendar month',
+    previous_quarter: 'Previous quarter',
+    previous_year: 'Previous calendar year',
+    year_to_date: 'Year to date',
+    fixed: 'Fixed dates'
+};
+// How often the scheduler looks for due reports
+const REPORT_SCHEDULE_CHECK_MS = 60 * 1000;
+// Runs per definition whose file is kept; older runs keep their history only
+const REPORT_OUTPUTS_KEEP = 20;
+const REPORT_ACTOR = { userId: null, username: 'scheduler', ip: null };
+
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_FROM = process.env.SMTP_FROM || 'Antenne Books <reports@localhost>';
+// Upgrades to TLS when the server offers STARTTLS; SMTP_SECURE is for port 465
+const mailTransport = SMTP_HOST
+    ? nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || (process.env.SMTP_SECURE === 'true' ? 465 : 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    })
+    : null;
+
+// Dates as YYYY-MM-DD so they don't shift with the server's timezone
+const REPORT_DEFINITION_COLUMNS = `id, name, publisher, all_publishers, titles, date_window,
+    to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, include_excluded,
+    exclude_customers, format, schedule, email_to, enabled, next_run_at, created_by, created_at, updated_at`;
+// Every run column but the stored file
+const REPORT_RUN_COLUMNS = `id, definition_id, definition_name, trigger, status,
+    to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, format, file_name,
+    size_bytes, customers, email_to, email_status, email_error, error_message, requested_by, started_at, completed_at,
+    (output IS NOT NULL) AS has_output`;
+
+let reportScheduleCheck = null;
+
+// Start and end dates of a definition's window as of now (server time)
+function reportWindowDates(definition, now = new Date()) {
+    const day = (year, month, date) => localIsoDate(new Date(year, month, date));
+    const year = now.getFullYear();
+    const month = now.getMonth();
+    const today = now.getDate();
+    const quarter = Math.floor(month / 3) * 3;
+
+    switch (definition.date_window) {
+        case 'last_30_days': return { startDate: day(year, month, today - 29), endDate: day(year, month, today) };
+        case 'last_90_days': return { startDate: day(year, month, today - 89), endDate: day(year, month, today) };
+        case 'last_12_months': return { startDate: day(year - 1, month, today + 1), endDate: day(year, month, today) };
+        case 'previous_month': return { startDate: day(year, month - 1, 1), endDate: day(year, month, 0) };
+        case 'previous_quarter': return { startDate: day(year, quarter - 3, 1), endDate: day(year, quarter, 0) };
+        case 'previous_year': return { startDate: day(year - 1, 0, 1), endDate: day(year - 1, 11, 31) };
+        case 'year_to_date': return { startDate: day(year, 0, 1), endDate: day(year, month, today) };
+        default: return { startDate: definition.start_date, endDate: definition.end_date };
+    }
+}
+
+// Cron schedules: minute hour day-of-month month day-of-week, or one of the
+// @ aliases (@daily, @weekly, ...), in server time. Returns the first run
+// after `after`; an invalid schedule, or one that never runs, is a 400.
+function nextCronRun(expression, after = new Date()) {
+    const text = String(expression || '').trim();
+    const fail = message => {
+        const error = new Error(`Schedule "${text}" ${message}`);
+        error.status = 400;
+        return error;
+    };
+    if (!text.startsWith('@') && text.split(/\s+/).length !== 5) {
+        throw fail('needs five fields: minute hour day-of-month month day-of-week');
+    }
+
+    let schedule;
+    try {
+        schedule = cronParser.parseExpression(text, { currentDate: after });
+    } catch (error) {
+        throw fail(`is not valid: ${error.message}`);
+    }
+    try {
+        return schedule.next().toDate();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Comma- or semicolon-separated recipient list
+function emailList(value) {
+    return String(value || '').split(/[,;]/).map(address => address.trim()).filter(Boolean);
+}
+
+function isEmailAddress(address) {
+    return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(address);
+}
+
+// Check a submitted definition and convert it to column values
+function parseSavedReport(body) {
+    const input = body || {};
+    const fail = message => {
+        const error = new Error(message);
+        error.status = 400;
+        throw error;
+    };
+
+    const name = String(input.name || '').trim();
+    if (!name) fail('Report name is required');
+    if (name.length > 255) fail('Report name must be at most 255 characters');
+
+    const titles = [].concat(input.titles || []).map(title => String(title).trim()).filter(Boolean);
+    const publisher = input.publisher ? String(input.publisher).trim() : '';
+    if (!input.allPublishers && !publisher && titles.length === 0) {
+        fail('Choose a publisher, some titles, or all publishers');
+    }
+
+    const dateWindow = input.dateWindow || 'last_12_months';
+    if (!REPORT_WINDOWS[dateWindow]) {
+        fail(`dateWindow must be one of: ${Object.keys(REPORT_WINDOWS).join(', ')}`);
+    }
+    if (dateWindow === 'fixed') {
+        const start = new Date(input.startDate);
+        const end = new Date(input.endDate);
+        if (typeof input.startDate !== 'string' || typeof input.endDate !== 'string' || isNaN(start) || isNaN(end)) {
+            fail('Fixed dates need a startDate and endDate');
+        }
+        if (start > end) fail('startDate must be before endDate');
+    }
+
+    const format = String(input.format || 'xlsx').toLowerCase();
+    if (!REPORT_FORMATS[format]) {
+        fail(`Unsupported format. Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+
+    const schedule = input.schedule ? String(input.schedule).trim() : '';
+    if (schedule && !nextCronRun(schedule)) {
+        fail(`Schedule "${schedule}" never runs`);
+    }
+
+    const emailTo = emailList(input.emailTo);
+    const invalid = emailTo.filter(address => !isEmailAddress(address));
+    if (invalid.length > 0) fail(`Not an email address: ${invalid.join(', ')}`);
+
+    return {
+        name,
+        publisher: input.allPublishers ? null : publisher || null,
+        allPublishers: !!input.allPublishers,
+        titles,
+        dateWindow,
+        startDate: dateWindow === 'fixed' ? input.startDate : null,
+        endDate: dateWindow === 'fixed' ? input.endDate : null,
+        includeExcluded: !!input.includeExcluded,
+        excludeCustomers: customerCodeList(input.excludeCustomers),
+        format,
+        schedule: schedule || null,
+        emailTo: emailTo.join(', ') || null,
+        enabled: input.enabled === undefined ? true : !!input.enabled
+    };
+}
+
+function reportNextRun(values) {
+    return values.enabled && values.schedule ? nextCronRun(values.schedule) : null;
+}
+
+// Generate a definition's report, store the file as a run and email it when
+// the definition has recipients. Failures are recorded on the run, not thrown.
+async function runSavedReport(definition, { trigger, user, actor }) {
+    const started = await pool.query(
+        `INSERT INTO report_runs (definition_id, definition_name, trigger, format, email_to, requested_by)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        [definition.id, definition.name, trigger, definition.format, definition.email_to, user ? user.username : REPORT_ACTOR.username]
+    );
+    const runId = started.rows[0].id;
+    const run = {};
+
+    try {
+        const { startDate, endDate } = reportWindowDates(definition);
+        Object.assign(run, { startDate, endDate });
+        const reportDefinition = {
+            publisher: definition.publisher,
+            allPublishers: definition.all_publishers,
+            titles: definition.titles,
+            startDate,
+            endDate,
+            includeExcluded: definition.include_excluded,
+            excludeCustomers: definition.exclude_customers
+        };
+        const format = REPORT_FORMATS[definition.format];
+        const reports = await buildStockistReports(reportDefinition);
+        const rendered = format.render(reportDefinition, reports);
+
+        Object.assign(run, {
+            status: 'completed',
+            fileName: reportFileName(reportDefinition, reports, definition.format),
+            output: Buffer.isBuffer(rendered) ? rendered : Buffer.from(rendered),
+            customers: reports.reduce((total, report) => total + report.data.length, 0)
+        });
+
+        const recipients = emailList(definition.email_to);
+        if (recipients.length > 0) {
+            try {
+                if (!mailTransport) {
+                    throw new Error('SMTP_HOST is not set');
+                }
+                await mailTransport.sendMail({
+                    from: SMTP_FROM,
+                    to: recipients,
+                    subject: `${REPORT_BRAND} stockist report: ${definition.name} (${startDate} to ${endDate})`,
+                    text: `Attached is the ${REPORT_BRAND} stockist report "${definition.name}" for ${startDate} to ${endDate}, listing ${run.customers} stockists.\n`,
+                    attachments: [{ filename: run.fileName, contentType: format.type, content: run.output }]
+                });
+                run.emailStatus = 'sent';
+            } catch (error) {
+                console.error(`Emailing report ${definition.name} failed:`, error.message);
+                run.emailStatus = 'failed';
+                run.emailError = error.message;
+            }
+        }
+    } catch (error) {
+        console.error(`Report ${definition.name} failed:`, error);
+        run.status = 'failed';
+        run.errorMessage = error.message;
+    }
+
+    const finished = await pool.query(
+        `UPDATE report_runs SET status = $2, start_date = $3, end_date = $4, file_name = $5, size_bytes = $6,
+            output = $7, customers = $8, email_status = $9, email_error = $10, error_message = $11,
+            completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${REPORT_RUN_COLUMNS}`,
+        [
+            runId, run.status, run.startDate || null, run.endDate || null, run.fileName || null,
+            run.output ? run.output.length : null, run.output || null, run.customers === undefined ? null : run.customers,
+            run.emailStatus || null, run.emailError || null, run.errorMessage || null
+        ]
+    );
+
+    // Older runs keep their history but not their file
+    await pool.query(
+        `UPDATE report_runs SET output = NULL
+         WHERE definition_id = $1 AND output IS NOT NULL AND id NOT IN (
+            SELECT id FROM report_runs WHERE definition_id = $1 ORDER BY started_at DESC, id DESC LIMIT $2
+         )`,
+        [definition.id, REPORT_OUTPUTS_KEEP]
+    );
+
+    await recordAudit(actor || REPORT_ACTOR, 'report.run', {
+        targetType: 'report_definition',
+        targetId: definition.id,
+        details: { runId, trigger, status: run.status, emailTo: definition.email_to, emailStatus: run.emailStatus || null }
+    });
+
+    return finished.rows[0];
+}
+
+// Run every enabled definition whose next run is due, moving each to its next
+// time first so a slow or failing report isn't picked up twice. Reports missed
+// while the server was down run once when it comes back, and one report failing
+// doesn't hold up the others. Shared like scanInbox.
+function runDueReports() {
+    if (reportScheduleCheck) {
+        return reportScheduleCheck;
+    }
+
+    reportScheduleCheck = (async () => {
+        let client = null;
+        try {
+            client = await pool.connect();
+            const lock = await client.query("SELECT pg_try_advisory_lock(hashtext('report_schedule')) AS locked");
+            if (!lock.rows[0].locked) {
+                return;
+            }
+            try {
+                const due = await client.query(
+                    `SELECT ${REPORT_DEFINITION_COLUMNS} FROM report_definitions
+                     WHERE enabled AND schedule IS NOT NULL AND next_run_at <= CURRENT_TIMESTAMP
+                     ORDER BY next_run_at, id`
+                );
+                for (const definition of due.rows) {
+                    try {
+                        await client.query('UPDATE report_definitions SET next_run_at = $2 WHERE id = $1', [definition.id, nextCronRun(definition.schedule)]);
+                        await runSavedReport(definition, { trigger: 'schedule' });
+                    } catch (error) {
+                        console.error(`Scheduled report ${definition.name} failed:`, error);
+                    }
+                }
+            } finally {
+                await client.query("SELECT pg_advisory_unlock(hashtext('report_schedule'))");
+            }
+        } catch (error) {
+            console.error('Scheduled reports failed:', error);
+        } finally {
+            if (client) client.release();
+            reportScheduleCheck = null;
+        }
+    })();
+    return reportScheduleCheck;
+}
+
+function startReportScheduler() {
+    console.log(`Scheduled reports ${SMTP_HOST ? `email through ${SMTP_HOST}` : 'are not emailed (SMTP_HOST is not set)'}`);
+    const check = () => runDueReports().catch(error => console.error('Scheduled reports failed:', error));
+    check();
+    setInterval(check, REPORT_SCHEDULE_CHECK_MS);
+}
+
+async function loadReportDefinition(id) {
+    const result = await pool.query(`SELECT ${REPORT_DEFINITION_COLUMNS} FROM report_definitions WHERE id = $1`, [id]);
+    if (result.rows.length === 0) {
+        const error = new Error('Report definition not found');
+        error.status = 404;
+        throw error;
+    }
+    return result.rows[0];
+}
+
+// Saved report definitions with their latest run, and the choices for the form
+app.get('/api/report-definitions', requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT d.*, r.id AS last_run_id, r.status AS last_run_status, r.started_at AS last_run_at, r.email_status AS last_email_status
+             FROM (SELECT ${REPORT_DEFINITION_COLUMNS} FROM report_definitions) d
+             LEFT JOIN LATERAL (
+                SELECT id, status, started_at, email_status FROM report_runs
+                WHERE definition_id = d.id ORDER BY started_at DESC, id DESC LIMIT 1
+             ) r ON true
+             ORDER BY d.name`
+        );
+
+        res.json({
+            definitions: result.rows,
+            dateWindows: REPORT_WINDOWS,
+            formats: Object.keys(REPORT_FORMATS),
+            emailConfigured: !!SMTP_HOST
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/report-definitions', requireRole('editor'), async (req, res) => {
+    try {
+        const values = parseSavedReport(req.body);
+        const result = await pool.query(
+            `INSERT INTO report_definitions (
+                name, publisher, all_publishers, titles, date_window, start_date, end_date, include_excluded,
+                exclude_customers, format, schedule, email_to, enabled, next_run_at, created_by
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+             RETURNING ${REPORT_DEFINITION_COLUMNS}`,
+            [
+                values.name, values.publisher, values.allPublishers, JSON.stringify(values.titles), values.dateWindow,
+                values.startDate, values.endDate, values.includeExcluded, JSON.stringify(values.excludeCustomers),
+                values.format, values.schedule, values.emailTo, values.enabled, reportNextRun(values), req.user.username
+            ]
+        );
 
+        await recordAudit(auditActor(req), 'report_definition.create', { targetType: 'report_definition', targetId: result.rows[0].id, after: result.rows[0] });
+        res.json({ success: true, definition: result.rows[0] });
     } catch (error) {
-        if (req.file && req.file.path) {
-            fs.unlinkSync(req.file.path);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A saved report with this name already exists' });
         }
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Get Gazelle records - UPDATED to match new schema
-app.get('/api/gazelle/records', async (req, res) => {
+app.put('/api/report-definitions/:id', requireRole('editor'), async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 1000;
-        const offset = parseInt(req.query.offset) || 0;
-        
+        const before = await loadReportDefinition(req.params.id);
+        const values = parseSavedReport(req.body);
         const result = await pool.query(
-            'SELECT * FROM gazelle_sales ORDER BY upload_date DESC, id DESC LIMIT $1 OFFSET $2',
-            [limit, offset]
+            `UPDATE report_definitions SET
+                name = $2, publisher = $3, all_publishers = $4, titles = $5, date_window = $6, start_date = $7,
+                end_date = $8, include_excluded = $9, exclude_customers = $10, format = $11, schedule = $12,
+                email_to = $13, enabled = $14, next_run_at = $15, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING ${REPORT_DEFINITION_COLUMNS}`,
+            [
+                before.id, values.name, values.publisher, values.allPublishers, JSON.stringify(values.titles), values.dateWindow,
+                values.startDate, values.endDate, values.includeExcluded, JSON.stringify(values.excludeCustomers),
+                values.format, values.schedule, values.emailTo, values.enabled, reportNextRun(values)
+            ]
         );
-        
-        const countResult = await pool.query('SELECT COUNT(*) FROM gazelle_sales');
-        
-        res.json({
-            records: result.rows,
-            totalRecords: parseInt(countResult.rows[0].count)
-        });
+
+        await recordAudit(auditActor(req), 'report_definition.update', { targetType: 'report_definition', targetId: before.id, before, after: result.rows[0] });
+        res.json({ success: true, definition: result.rows[0] });
     } catch (error) {
-        console.error('Error fetching Gazelle records:', error);
-        res.status(500).json({ error: 'Failed to fetch records' });
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A saved report with this name already exists' });
+        }
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Get Gazelle statistics
-app.get('/api/gazelle/stats', async (req, res) => {
+// Runs of a deleted definition stay in the history
+app.delete('/api/report-definitions/:id', requireRole('editor'), async (req, res) => {
     try {
-        const stats = await pool.query(`
-            SELECT 
-                COUNT(*) as total_records,
-                COUNT(DISTINCT order_ref) as unique_orders,
-                SUM(quantity) as total_quantity,
-                SUM(total_amount) as total_revenue,
-                COUNT(DISTINCT customer_name) as unique_customers,
-                COUNT(DISTINCT title) as unique_titles
-            FROM gazelle_sales
-        `);
-        
-        res.json({
-            totalRecords: parseInt(stats.rows[0].total_records),
-            uniqueOrders: parseInt(stats.rows[0].unique_orders),
-            totalQuantity: parseInt(stats.rows[0].total_quantity) || 0,
-            totalRevenue: parseFloat(stats.rows[0].total_revenue) || 0,
-            uniqueCustomers: parseInt(stats.rows[0].unique_customers),
-            uniqueTitles: parseInt(stats.rows[0].unique_titles)
-        });
+        const result = await pool.query(`DELETE FROM report_definitions WHERE id = $1 RETURNING ${REPORT_DEFINITION_COLUMNS}`, [req.params.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Report definition not found' });
+        }
+        await recordAudit(auditActor(req), 'report_definition.delete', { targetType: 'report_definition', targetId: req.params.id, before: result.rows[0] });
+        res.json({ success: true });
     } catch (error) {
-        console.error('Error fetching stats:', error);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Booksonix upload endpoint
-app.post('/api/booksonix/upload', upload.single('booksonixFile'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+// Run a definition now, whatever its schedule
+app.post('/api/report-definitions/:id/run', requireRole('editor'), async (req, res) => {
+    try {
+        const definition = await loadReportDefinition(req.params.id);
+        const run = await runSavedReport(definition, { trigger: 'manual', user: req.user, actor: auditActor(req) });
+        res.json({ success: run.status === 'completed', run });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
     }
+});
 
+// Run history, newest first (?definitionId= for one definition)
+app.get('/api/report-runs', requireRole('viewer'), async (req, res) => {
     try {
-        const workbook = XLSX.readFile(req.file.path);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        
-        const data = XLSX.utils.sheet_to_json(worksheet);
-        
-        let newRecords = 0;
-        let duplicates = 0;
-
-        for (const row of data) {
-            const sku = row.SKU || row.sku || row['SKU'] || '';
-            const cleanedSKU = sku.toString().replace(/-/g, '');
-            
-            if (!cleanedSKU) continue;
-            
-            try {
-                await pool.query(
-                    `INSERT INTO booksonix (sku, isbn, title, publisher, price)
-                     VALUES ($1, $2, $3, $4, $5)
-                     ON CONFLICT (sku) DO NOTHING`,
-                    [
-                        cleanedSKU,
-                        row.ISBN || row.isbn || '',
-                        row.Title || row.title || '',
-                        row.Publisher || row.publisher || '',
-                        parseFloat(row.Price || row.price || 0)
-                    ]
-                );
-                newRecords++;
-            } catch (err) {
-                if (err.code === '23505') {
-                    duplicates++;
-                } else {
-                    throw err;
-                }
-            }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const params = [limit];
+        let where = '';
+        if (req.query.definitionId) {
+            params.push(req.query.definitionId);
+            where = 'WHERE definition_id = $2';
         }
-        
-        fs.unlinkSync(req.file.path);
-        
-        res.json({
-            success: true,
-            message: `Processed ${req.file.originalname}`,
-            newRecords,
-            duplicates
-        });
+
+        const result = await pool.query(
+            `SELECT ${REPORT_RUN_COLUMNS}
+             FROM report_runs ${where}
+             ORDER BY started_at DESC, id DESC
+             LIMIT $1`,
+            params
+        );
+        res.json(result.rows);
     } catch (error) {
-        if (req.file && req.file.path) {
-            fs.unlinkSync(req.file.path);
-        }
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get Booksonix records
-app.get('/api/booksonix/records', async (req, res) => {
+app.get('/api/report-runs/:id/download', requireRole('viewer'), async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 500;
-        const offset = (page - 1) * limit;
-        
-        const result = await pool.query(
-            'SELECT * FROM booksonix ORDER BY upload_date DESC LIMIT $1 OFFSET $2',
-            [limit, offset]
-        );
-        
-        const countResult = await pool.query('SELECT COUNT(*) FROM booksonix');
-        
-        res.json({
-            records: result.rows,
-            totalRecords: parseInt(countResult.rows[0].count)
-        });
+        const result = await pool.query('SELECT file_name, format, output FROM report_runs WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Report run not found' });
+        }
+
+        const run = result.rows[0];
+        if (!run.output) {
+            return res.status(410).json({ error: 'This run has no stored file (it failed, or is older than the files kept)' });
+        }
+
+        res.setHeader('Content-Type', REPORT_FORMATS[run.format].type);
+        res.setHeader('Content-Disposition', `attachment; filename="${run.file_name}"`);
+        res.send(run.output);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get Booksonix statistics
-app.get('/api/booksonix/stats', async (req, res) => {
+// Sales EANs with no catalogue product, and catalogue products with no sales
+app.get('/api/catalogue/unmatched', requireRole('viewer'), async (req, res) => {
     try {
+        const limit = parseInt(req.query.limit) || 500;
+
+        const unmatchedSales = await pool.query(
+            `SELECT
+                book_ean,
+                MAX(ean13) as ean13,
+                MAX(title) as title,
+                MAX(publisher) as publisher,
+                COUNT(*) as sales_lines,
+                SUM(quantity) as total_quantity,
+                SUM(total_amount) as total_revenue,
+                MAX(order_date) as last_order
+             FROM sales_catalogue
+             WHERE product_id IS NULL
+             GROUP BY book_ean
+             ORDER BY SUM(quantity) DESC, book_ean
+             LIMIT $1`,
+            [limit]
+        );
+
+        const unsoldProducts = await pool.query(
+            `SELECT b.id, b.sku, b.isbn, b.ean13, b.title, b.publisher, b.price
+             FROM booksonix b
+             WHERE b.withdrawn_at IS NULL
+             AND NOT EXISTS (SELECT 1 FROM gazelle_sales g WHERE g.ean13 = b.ean13 AND b.ean13 <> '')
+             ORDER BY b.title, b.sku
+             LIMIT $1`,
+            [limit]
+        );
+
         const stats = await pool.query(`
-            SELECT 
-                COUNT(*) as total_records,
-                COUNT(DISTINCT sku) as unique_skus,
-                COUNT(DISTINCT isbn) as unique_isbns
-            FROM booksonix
+            SELECT
+                (SELECT COUNT(*) FROM sales_catalogue WHERE product_id IS NOT NULL) as matched_lines,
+                (SELECT COUNT(*) FROM sales_catalogue WHERE product_id IS NULL) as unmatched_lines,
+                (SELECT COUNT(DISTINCT book_ean) FROM sales_catalogue WHERE product_id IS NULL) as unmatched_eans,
+                (SELECT COUNT(*) FROM gazelle_sales WHERE ean13 = '') as invalid_lines,
+                (SELECT COUNT(*) FROM booksonix b WHERE b.withdrawn_at IS NULL
+                    AND NOT EXISTS (SELECT 1 FROM gazelle_sales g WHERE g.ean13 = b.ean13 AND b.ean13 <> '')) as unsold_products
         `);
-        
+
         res.json({
-            totalRecords: parseInt(stats.rows[0].total_records),
-            uniqueSKUs: parseInt(stats.rows[0].unique_skus),
-            uniqueISBNs: parseInt(stats.rows[0].unique_isbns)
+            unmatchedSales: unmatchedSales.rows.map(row => ({ ...row, valid: row.ean13 !== '' })),
+            unsoldProducts: unsoldProducts.rows,
+            stats: {
+                matchedLines: parseInt(stats.rows[0].matched_lines),
+                unmatchedLines: parseInt(stats.rows[0].unmatched_lines),
+                unmatchedEans: parseInt(stats.rows[0].unmatched_eans),
+                invalidLines: parseInt(stats.rows[0].invalid_lines),
+                unsoldProducts: parseInt(stats.rows[0].unsold_products)
+            }
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Clear data endpoint
-app.delete('/api/clear-data', async (req, res) => {
+// Application settings
+app.get('/api/settings', requireRole('viewer'), async (req, res) => {
     try {
-        const result = await pool.query('DELETE FROM gazelle_sales');
-        res.json({ 
-            success: true,
-            message: 'All Gazelle records cleared',
-            deletedCount: result.rowCount
-        });
+        res.json(await getSettings());
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Clear Booksonix data
-app.delete('/api/clear-booksonix', async (req, res) => {
+// Save some or all settings; values are validated against SETTINGS
+app.put('/api/settings', requireRole('admin'), async (req, res) => {
     try {
-        const result = await pool.query('DELETE FROM booksonix');
-        res.json({ 
-            success: true,
-            message: 'All Booksonix records cleared',
-            deletedCount: result.rowCount
-        });
+        const { values, errors } = validateSettings(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; '), details: errors });
+        }
+
+        const keys = Object.keys(values);
+        const before = await getSettings();
+        await pool.query(
+            `INSERT INTO app_settings (key, value, updated_by, updated_at)
+             SELECT key, value, $3, CURRENT_TIMESTAMP FROM UNNEST($1::text[], $2::jsonb[]) AS s(key, value)
+             ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = EXCLUDED.updated_at`,
+            [keys, keys.map(key => JSON.stringify(values[key])), req.user.username]
+        );
+        settingsCache = null;
+
+        const settings = await getSettings();
+        const changed = keys.filter(key => JSON.stringify(before[key]) !== JSON.stringify(settings[key]));
+        if (changed.length > 0) {
+            await recordAudit(auditActor(req), 'settings.update', {
+                targetType: 'settings',
+                before: Object.fromEntries(changed.map(key => [key, before[key]])),
+                after: Object.fromEntries(changed.map(key => [key, settings[key]]))
+            });
+        }
+
+        res.json({ success: true, settings });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get titles for reports
-app.get('/api/titles', async (req, res) => {
+// Duplicate stockist suggestions. Raw Gazelle names are grouped when they
+// normalise to the same key (case, punctuation, accents, "&"/"and", legal
+// suffixes such as Ltd or GmbH), when their keys are within the similarity
+// threshold of each other, or when they share a customer number.
+const DUPLICATE_SIMILARITY = 0.85;
+const COMPANY_SUFFIXES = new Set(['ltd', 'limited', 'inc', 'llc', 'plc', 'co', 'company', 'gmbh', 'ag', 'sarl', 'sas', 'sa', 'srl', 'bv', 'nv', 'ab', 'as', 'kk']);
+
+function normaliseCustomerName(name) {
+    const words = name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+    if (words[0] === 'the' && words.length > 1) words.shift();
+    while (words.length > 1 && COMPANY_SUFFIXES.has(words[words.length - 1])) words.pop();
+    return words.join(' ');
+}
+
+// 1 for identical strings down to 0, from the Levenshtein distance
+function nameSimilarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+async function suggestDuplicateCustomers(threshold) {
+    // Names already mapped are settled; their display names can still be the
+    // suggested target for other spellings
+    const result = await pool.query(`
+        SELECT raw_customer_name as name,
+            COUNT(*) as lines,
+            ARRAY_AGG(DISTINCT customer_number) FILTER (WHERE customer_number <> '') as customer_numbers,
+            ARRAY_AGG(DISTINCT customer) as customer_codes
+        FROM gazelle_sales
+        WHERE raw_customer_name <> ''
+        AND NOT EXISTS (SELECT 1 FROM customer_name_mappings m WHERE m.original_name = raw_customer_name)
+        GROUP BY raw_customer_name
+    `);
+
+    const names = result.rows.map(row => ({
+        name: row.name,
+        key: normaliseCustomerName(row.name),
+        lines: parseInt(row.lines),
+        customerNumbers: row.customer_numbers || [],
+        customerCodes: row.customer_codes || []
+    }));
+
+    // Union-find over the names, remembering why each pair was joined
+    const parent = names.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const matches = names.map(() => ({ reasons: new Set(), score: 1 }));
+    const join = (a, b, reason, score) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent[rootB] = rootA;
+        for (const i of [a, b]) {
+            matches[i].reasons.add(reason);
+            matches[i].score = Math.min(matches[i].score, score);
+        }
+    };
+
+    const byKey = new Map();
+    const byNumber = new Map();
+    names.forEach((entry, i) => {
+        if (byKey.has(entry.key)) join(byKey.get(entry.key), i, 'same name after normalising', 1);
+        else byKey.set(entry.key, i);
+
+        for (const number of entry.customerNumbers) {
+            if (byNumber.has(number)) join(byNumber.get(number), i, `same customer number ${number}`, 1);
+            else byNumber.set(number, i);
+        }
+    });
+
+    // Fuzzy matches are only looked for between keys sharing their first
+    // three characters, which keeps the comparison count manageable. Keys with
+    // different numbers ("Shop 1", "Shop 2") are taken to be different branches.
+    const digits = key => (key.match(/\d+/g) || []).join(' ');
+    const blocks = new Map();
+    for (const [key, i] of byKey) {
+        const block = key.slice(0, 3);
+        if (!blocks.has(block)) blocks.set(block, []);
+        blocks.get(block).push([key, i]);
+    }
+    for (const block of blocks.values()) {
+        for (let a = 0; a < block.length; a++) {
+            for (let b = a + 1; b < block.length; b++) {
+                if (digits(block[a][0]) !== digits(block[b][0])) continue;
+                const score = nameSimilarity(block[a][0], block[b][0]);
+                if (score >= threshold) {
+                    join(block[a][1], block[b][1], 'similar names', Math.round(score * 100) / 100);
+                }
+            }
+        }
+    }
+
+    const mapped = await pool.query('SELECT DISTINCT display_name FROM customer_name_mappings');
+    const displayNames = new Set(mapped.rows.map(row => row.display_name));
+
+    const groups = new Map();
+    names.forEach((entry, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push({ ...entry, ...matches[i] });
+    });
+
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => {
+            // Suggest an existing display name, otherwise the most used spelling
+            const sorted = group.sort((a, b) =>
+                displayNames.has(b.name) - displayNames.has(a.name) || b.lines - a.lines || a.name.localeCompare(b.name));
+            const displayName = sorted[0].name;
+            return {
+                displayName,
+                score: Math.min(...sorted.map(entry => entry.score)),
+                reasons: [...new Set(sorted.flatMap(entry => [...entry.reasons]))],
+                names: sorted.map(entry => ({
+                    name: entry.name,
+                    lines: entry.lines,
+                    customerNumbers: entry.customerNumbers,
+                    customerCodes: entry.customerCodes
+                })),
+                mappings: sorted.slice(1).map(entry => ({ original_name: entry.name, display_name: displayName }))
+            };
+        })
+        .sort((a, b) => b.names.reduce((total, entry) => total + entry.lines, 0) - a.names.reduce((total, entry) => total + entry.lines, 0));
+}
+
+// Customer name mappings
+app.get('/api/mappings', requireRole('viewer'), async (req, res) => {
     try {
-        const result = await pool.query(
-            'SELECT DISTINCT title FROM gazelle_sales WHERE title IS NOT NULL ORDER BY title'
-        );
+        const result = await pool.query('SELECT * FROM customer_name_mappings ORDER BY original_name');
         res.json(result.rows);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Generate report endpoint - UPDATED to match new schema
-app.post('/api/generate-report', async (req, res) => {
+// Mapping changes apply to stored sales straight away, in the same transaction
+async function changeMappings(change) {
+    const client = await pool.connect();
     try {
-        const { publisher, startDate, endDate, titles } = req.body;
-        
-        const query = `
-            SELECT DISTINCT
-                customer_name,
-                MAX(customer) as customer_code,
-                MAX(city) as city,
-                MAX(country) as country,
-                COUNT(DISTINCT order_ref) as total_orders,
-                SUM(quantity) as total_quantity,
-                MAX(order_date) as last_order
-            FROM gazelle_sales
-            WHERE title = ANY($1)
-            AND order_date >= $2
-            AND order_date <= $3
-            GROUP BY customer_name
-            ORDER BY country, city, customer_name
-        `;
-        
-        const result = await pool.query(query, [titles, startDate, endDate]);
-        
-        res.json({
-            success: true,
-            data: result.rows,
-            totalCustomers: result.rows.length
+        await client.query('BEGIN');
+        await change(client);
+        const renamed = await applyCustomerNameMappings(client);
+        await client.query('COMMIT');
+        return renamed;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+app.post('/api/mappings', requireRole('editor'), async (req, res) => {
+    try {
+        const { original_name, display_name } = req.body;
+        let mapping;
+        const renamed = await changeMappings(async client => {
+            const result = await client.query(
+                'INSERT INTO customer_name_mappings (original_name, display_name) VALUES ($1, $2) RETURNING *',
+                [original_name, display_name]
+            );
+            mapping = result.rows[0];
         });
+        await recordAudit(auditActor(req), 'mapping.create', { targetType: 'mapping', targetId: mapping.id, after: mapping, details: { renamed } });
+        res.json({ success: true, renamed });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Customer name mappings
-app.get('/api/mappings', async (req, res) => {
+// Save several mappings at once (e.g. accepted duplicate suggestions).
+// Body: { mappings: [{ original_name, display_name }] }; existing mappings
+// for the same original name are replaced.
+app.post('/api/mappings/bulk', requireRole('editor'), async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM customer_name_mappings ORDER BY original_name');
-        res.json(result.rows);
+        const mappings = (req.body.mappings || []).filter(mapping =>
+            mapping.original_name && mapping.display_name && mapping.original_name !== mapping.display_name);
+        if (mappings.length === 0) {
+            return res.status(400).json({ error: 'No mappings to save' });
+        }
+
+        let replaced = [];
+        const renamed = await changeMappings(async client => {
+            const existing = await client.query(
+                'SELECT * FROM customer_name_mappings WHERE original_name = ANY($1)',
+                [mappings.map(mapping => mapping.original_name)]
+            );
+            replaced = existing.rows;
+            await client.query(
+                `INSERT INTO customer_name_mappings (original_name, display_name)
+                 SELECT * FROM UNNEST($1::text[], $2::text[])
+                 ON CONFLICT (original_name) DO UPDATE SET display_name = EXCLUDED.display_name`,
+                [mappings.map(mapping => mapping.original_name), mappings.map(mapping => mapping.display_name)]
+            );
+        });
+        await recordAudit(auditActor(req), 'mapping.bulk', {
+            targetType: 'mapping',
+            before: replaced,
+            after: mappings.map(({ original_name, display_name }) => ({ original_name, display_name })),
+            details: { renamed }
+        });
+        res.json({ success: true, saved: mappings.length, renamed });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/mappings', async (req, res) => {
+// Re-apply every mapping to stored sales on demand
+app.post('/api/mappings/apply', requireRole('editor'), async (req, res) => {
     try {
-        const { original_name, display_name } = req.body;
-        await pool.query(
-            'INSERT INTO customer_name_mappings (original_name, display_name) VALUES ($1, $2)',
-            [original_name, display_name]
-        );
-        res.json({ success: true });
+        const renamed = await changeMappings(async () => {});
+        await recordAudit(auditActor(req), 'mapping.apply', { targetType: 'mapping', details: { renamed } });
+        res.json({ success: true, renamed });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.delete('/api/mappings/:id', async (req, res) => {
+app.get('/api/mappings/suggestions', requireRole('viewer'), async (req, res) => {
     try {
-        await pool.query('DELETE FROM customer_name_mappings WHERE id = $1', [req.params.id]);
-        res.json({ success: true });
+        const threshold = parseFloat(req.query.threshold) || DUPLICATE_SIMILARITY;
+        res.json(await suggestDuplicateCustomers(threshold));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/mappings/:id', requireRole('editor'), async (req, res) => {
+    try {
+        let removed;
+        const renamed = await changeMappings(async client => {
+            const result = await client.query('DELETE FROM customer_name_mappings WHERE id = $1 RETURNING *', [req.params.id]);
+            removed = result.rows[0];
+        });
+        if (removed) {
+            await recordAudit(auditActor(req), 'mapping.delete', { targetType: 'mapping', targetId: req.params.id, before: removed, details: { renamed } });
+        }
+        res.json({ success: true, renamed });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // User management
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', requireRole('admin'), async (req, res) => {
     try {
-        const result = await pool.query('SELECT id, username, email, role, created_at FROM users ORDER BY username');
+        const result = await pool.query(
+            `SELECT id, username, email, role, active, must_change_password, failed_login_attempts,
+                CASE WHEN locked_until > CURRENT_TIMESTAMP THEN locked_until END AS locked_until,
+                password_changed_at, last_login_at, created_at
+             FROM users ORDER BY username`
+        );
         res.json(result.rows);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', requireRole('admin'), async (req, res) => {
     try {
         const { username, password, email, role } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+        if (role && !ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+        const problems = validatePassword(password, username);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: problems.join('; '), details: problems });
+        }
+
         const hashedPassword = await bcrypt.hash(password, 10);
         
-        await pool.query(
-            'INSERT INTO users (username, password, email, role) VALUES ($1, $2, $3, $4)',
-            [username, hashedPassword, email, role]
+        // The admin picked this password, so the new user replaces it on first login
+        const result = await pool.query(
+            `INSERT INTO users (username, password, email, role, must_change_password)
+             VALUES ($1, $2, $3, $4, true) RETURNING id, username, email, role`,
+            [username, hashedPassword, email, role || 'viewer']
         );
+        await recordAudit(auditActor(req), 'user.create', { targetType: 'user', targetId: result.rows[0].id, after: result.rows[0] });
         
         res.json({ success: true });
     } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A user with this username already exists' });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
-app.delete('/api/users/:id', async (req, res) => {
+// Lock the admin accounts and fail unless one other than userId stays an active
+// admin. Run inside a transaction, before demoting, disabling or deleting userId.
+async function ensureAnotherAdmin(client, userId) {
+    const admins = await client.query(
+        "SELECT id FROM users WHERE role = 'admin' AND active AND id <> $1 FOR UPDATE",
+        [userId]
+    );
+    if (admins.rows.length === 0) {
+        const error = new Error('There must be at least one active admin; make another user an admin first');
+        error.status = 400;
+        throw error;
+    }
+}
+
+// Update a user. Body (all optional): username, email, role, active,
+// password (an admin reset; the user must change it at next login) and
+// unlock=true to clear a login lockout.
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
     try {
-        await pool.query('DELETE FROM users WHERE id = $1', [req.params.id]);
+        const { username, email, role, active, password, unlock } = req.body;
+        const userId = req.params.id;
+
+        if (role !== undefined && !ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+        if (active !== undefined && typeof active !== 'boolean') {
+            return res.status(400).json({ error: 'active must be true or false' });
+        }
+        if (username !== undefined && !String(username).trim()) {
+            return res.status(400).json({ error: 'Username cannot be empty' });
+        }
+
+        await client.query('BEGIN');
+        const existing = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const user = existing.rows[0];
+
+        if (userId === req.user.id && active === false) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'You cannot disable your own account' });
+        }
+        if (user.role === 'admin' && user.active && ((role !== undefined && role !== 'admin') || active === false)) {
+            await ensureAnotherAdmin(client, userId);
+        }
+
+        const changes = {};
+        if (username !== undefined) changes.username = String(username).trim();
+        if (email !== undefined) changes.email = email || null;
+        if (role !== undefined) changes.role = role;
+        if (active !== undefined) changes.active = active;
+        if (password) {
+            const problems = validatePassword(password, changes.username || user.username);
+            if (problems.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: problems.join('; '), details: problems });
+            }
+            changes.password = await bcrypt.hash(password, 10);
+            changes.must_change_password = true;
+            changes.password_changed_at = new Date();
+        }
+        if (unlock) {
+            changes.failed_login_attempts = 0;
+            changes.locked_until = null;
+        }
+
+        const columns = Object.keys(changes);
+        if (columns.length > 0) {
+            await client.query(
+                `UPDATE users SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')} WHERE id = $1`,
+                [userId, ...columns.map(column => changes[column])]
+            );
+        }
+        // Disabled accounts and reset passwords end the user's sessions
+        if (active === false || password) {
+            await client.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+        }
+        await client.query('COMMIT');
+
+        const audited = ['username', 'email', 'role', 'active'].filter(column => column in changes && changes[column] !== user[column]);
+        await recordAudit(auditActor(req), 'user.update', {
+            targetType: 'user',
+            targetId: userId,
+            before: Object.fromEntries(audited.map(column => [column, user[column]])),
+            after: Object.fromEntries(audited.map(column => [column, changes[column]])),
+            details: { passwordReset: !!password, unlocked: !!unlock }
+        });
+
         res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A user with this username already exists' });
+        }
+        res.status(error.status || 500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        await client.query('BEGIN');
+        const existing = await client.query('SELECT role, active FROM users WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (existing.rows.length > 0 && existing.rows[0].role === 'admin' && existing.rows[0].active) {
+            await ensureAnotherAdmin(client, req.params.id);
+        }
+        const result = await client.query('DELETE FROM users WHERE id = $1 RETURNING id, username, email, role', [req.params.id]);
+        await client.query('COMMIT');
+
+        if (result.rows.length > 0) {
+            await recordAudit(auditActor(req), 'user.delete', { targetType: 'user', targetId: req.params.id, before: result.rows[0] });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(error.status || 500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Audit trail, newest first. Filters: action (also matches its sub-actions,
+// so action=import includes import.failed and import.rollback), username,
+// targetType, targetId, ip, startDate and endDate; paged like /api/imports.
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = await pageSize(req);
+        const offset = (page - 1) * limit;
+
+        const conditions = [];
+        const params = [];
+
+        if (req.query.action) {
+            // "login" also finds "login.failed" and "login.locked"
+            params.push(req.query.action, `${escapeLike(req.query.action)}.%`);
+            conditions.push(`(action = $${params.length - 1} OR action LIKE $${params.length})`);
+        }
+        if (req.query.username) {
+            params.push(req.query.username.trim().toLowerCase());
+            conditions.push(`LOWER(username) = $${params.length}`);
+        }
+        if (req.query.targetType) {
+            params.push(req.query.targetType);
+            conditions.push(`target_type = $${params.length}`);
+        }
+        if (req.query.targetId) {
+            params.push(req.query.targetId);
+            conditions.push(`target_id = $${params.length}`);
+        }
+        if (req.query.ip) {
+            params.push(req.query.ip);
+            conditions.push(`ip_address = $${params.length}`);
+        }
+        for (const [param, operator] of [['startDate', '>='], ['endDate', '<']]) {
+            if (!req.query[param]) continue;
+            if (isNaN(new Date(req.query[param]))) {
+                return res.status(400).json({ error: `${param} must be a valid date` });
+            }
+            params.push(req.query[param]);
+            // endDate includes the whole day
+            conditions.push(`created_at ${operator} $${params.length}::date${operator === '<' ? " + interval '1 day'" : ''}`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await queryWithTimeout(
+            `SELECT * FROM audit_log ${where}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+        const countResult = await queryWithTimeout(`SELECT COUNT(*) FROM audit_log ${where}`, params);
+        const actions = await pool.query('SELECT DISTINCT action FROM audit_log ORDER BY action');
+
+        res.json({
+            entries: result.rows,
+            totalRecords: parseInt(countResult.rows[0].count),
+            actions: actions.rows.map(row => row.action)
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch audit log' });
     }
 });
 
@@ -717,7 +7188,9 @@ app.get('*', (req, res) => {
 });
 
 // Start server
-app.listen(port, () => {
-    console.log(`Server running on port ${port}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+if (!migrateCommand) {
+    app.listen(port, () => {
+        console.log(`Server running on port ${port}`);
+        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+}